@@ -1,20 +1,119 @@
 /**
  * DeepGalaxy - Offline Flashcard App
- * SM-2 algorithm + statistical correction
+ * SM-2 algorithm + statistical correction, FSRS selectable per deck
  */
-const DB_NAME = "DeepGalaxyDB", DB_VERSION = 1;
+const DB_NAME = "DeepGalaxyDB", DB_VERSION = 8;
+const STUDY_KEY = 'deepgalaxy.study'; // sessionStorage: the study queue in progress
+// Stores whose records carry a stable `uid` and leave a tombstone when deleted (backup merge)
+const SYNC_STORES = ['decks', 'cards', 'logs', 'presets', 'noteTypes', 'notes'];
+const newUid = () => crypto.randomUUID ? crypto.randomUUID() : Date.now().toString(36) + Math.random().toString(36).slice(2);
+
+// --- HTML templating ---
+// Views are built with html`...`, which escapes every interpolated value: deck names, card
+// fields, file names and anything else from the database or an imported file end up as text.
+// Values that already are markup pass through unchanged: other html`...` results, arrays of them
+// (no .join needed) and Html.raw() for HTML that was sanitized elsewhere (Markup.render).
+const Html = {
+    ENTITIES: { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' },
+    esc(v) { return String(v).replace(/[&<>"']/g, c => this.ENTITIES[c]); },
+    raw(s) { return { isHtml: true, s: String(s ?? ''), toString() { return this.s; } }; },
+    value(v) {
+        if (v == null || v === false) return '';
+        if (Array.isArray(v)) return v.map(x => this.value(x)).join('');
+        return v.isHtml ? v.s : this.esc(v);
+    }
+};
+const html = (strings, ...values) => Html.raw(strings.reduce((out, s, i) => out + Html.value(values[i - 1]) + s));
+
+// Tunable constants of the SM-2 correction and the priority score (see Optimizer)
+const DEFAULT_PARAMS = {
+    forgetHigh: 0.35, forgetLow: 0.15, eMultHigh: 0.9, eMultLow: 1.1,
+    retentionLow: 40, retentionHigh: 80, rMultLow: 0.8, rMultHigh: 1.2,
+    wRisk: 0.5, wScore: 0.3, wEase: 0.1, wOverdue: 0.1,
+    fsrsW: [0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474, 0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755]
+};
+
+// Deck option preset (id 1 is the default preset). Steps in minutes, maxInterval in days;
+// easyBonus multiplies SM-2 intervals answered "簡単", lapseMult keeps part of the
+// previous SM-2 interval after a lapse (0 = restart at 1 day). A card that lapses leechThreshold
+// times (0 = never) is a leech: tagged and/or suspended according to leechAction.
+const DEFAULT_PRESET = {
+    name: 'デフォルト', learningSteps: [1, 10], relearningSteps: [10], newPerDay: 20, reviewsPerDay: 200,
+    startingEase: 2.5, maxInterval: 36500, easyBonus: 1.0, lapseMult: 0, leechThreshold: 8, leechAction: 'both'
+};
+const LEECH_ACTIONS = { tag: 'タグを付ける', suspend: '中断する', both: 'タグを付けて中断する' };
+const LEECH_TAG = 'leech';
+// Built-in note types (same ids and uids on every device). Fields are matched to note values by
+// position; templates use the Anki syntax ({{Field}}, {{#Field}}…{{/Field}}, {{cloze:Field}}) and
+// keep their `ord` for good, since generated cards are matched to templates by it.
+const BUILTIN_NOTE_TYPES = [
+    { id: 1, uid: 'notetype-basic', name: 'ベーシック', kind: 'standard', fields: ['表面', '裏面'],
+        templates: [{ ord: 0, name: 'カード1', front: '{{表面}}', back: '{{裏面}}' }] },
+    { id: 2, uid: 'notetype-reverse', name: 'ベーシック（逆方向つき）', kind: 'standard', fields: ['表面', '裏面'],
+        templates: [{ ord: 0, name: 'カード1', front: '{{表面}}', back: '{{裏面}}' }, { ord: 1, name: 'カード2', front: '{{裏面}}', back: '{{表面}}' }] },
+    { id: 3, uid: 'notetype-cloze', name: 'クローズ（穴埋め）', kind: 'cloze', fields: ['テキスト', '補足'],
+        templates: [{ ord: 0, name: 'クローズ', front: '{{cloze:テキスト}}', back: '{{cloze:テキスト}}{{#補足}}<br><small>{{補足}}</small>{{/補足}}' }] }
+];
+const NOTE_KINDS = { standard: '通常（テンプレートごとに1枚）', cloze: 'クローズ（穴埋め番号ごとに1枚）' };
+const CARD_STATES = { new: '新規', learning: '学習中', review: '復習', relearning: '再学習' };
+// Answer times above this are cut off (the card was most likely left on screen), as Anki does
+const MAX_ANSWER_MS = 60000;
+const GRADE_LABELS = { 0: '再学習', 1: '再学習', 2: '再学習', 3: '難しい', 4: '普通', 5: '簡単' };
+// Keyboard shortcuts: action -> KeyboardEvent.key (letters in lower case); the 'shortcuts' setting overrides
+const DEFAULT_SHORTCUTS = {
+    flip: ' ', grade1: '1', grade2: '2', grade3: '3', grade4: '4', undo: 'u', edit: 'e', suspend: 's', bury: 'b', replay: 'r', search: '/', help: '?'
+};
+const SHORTCUT_LABELS = {
+    flip: '解答を表示', grade1: '再学習', grade2: '難しい', grade3: '普通', grade4: '簡単', undo: '直前の評価を取り消す', edit: 'カードを編集',
+    suspend: 'カードを中断', bury: '明日まで保留', replay: '音声をもう一度再生', search: '検索欄へ移動', help: 'ショートカット一覧'
+};
+// Speech synthesis languages for decks without recorded audio ('' = off)
+const TTS_LANGS = {
+    '': 'なし', 'en-US': '英語（米国）', 'en-GB': '英語（英国）', 'ja-JP': '日本語', 'zh-CN': '中国語', 'ko-KR': '韓国語',
+    'fr-FR': 'フランス語', 'de-DE': 'ドイツ語', 'es-ES': 'スペイン語', 'it-IT': 'イタリア語', 'pt-BR': 'ポルトガル語', 'ru-RU': 'ロシア語'
+};
+const TTS_SIDES = { front: '表面', back: '裏面', both: '両面' };
+// What the typed-answer comparison skips (deck.typeIgnore; decks that never set it use the default)
+const TYPE_IGNORE = { case: '大文字・小文字', space: '空白', punct: '句読点・記号', width: '全角・半角' };
+const DEFAULT_TYPE_IGNORE = ['case', 'width'];
+const MARKUP_HELP = html`<details style="font-size:.85rem;color:var(--txt2)"><summary>書式</summary>
+    **太字** *斜体* ~~取り消し線~~ ==マーカー== \`コード\` ／ 行頭の「- 」「1. 」で箇条書き、「# 」で見出し ／
+    漢字[かんじ] または |文字列[よみ] でふりがな</details>`;
+const CUSTOM_ORDERS = { due: '期日順', ef: 'EF の低い順', random: 'ランダム', added: '追加の新しい順' };
+const CUSTOM_STUDY_PRESETS = [
+    { label: '直近3日間に間違えたカード', query: 'failed:3', order: 'due', limit: 100, reschedule: true },
+    { label: '難しいカード 50枚', query: '-is:new', order: 'ef', limit: 50, reschedule: true },
+    { label: '期日前のカードを前倒し学習', query: '-is:new -is:due', order: 'due', limit: 100, reschedule: false },
+    { label: 'タグからランダムに 20枚', query: 'tag:', pickTag: true, order: 'random', limit: 20, reschedule: false }
+];
 
 const state = {
     currentView: 'dashboard',
     activeDeckId: null,
     studyQueue: [],
+    learningQueue: [],
+    undoStack: [],
     currentCardIndex: 0,
     isShowingAnswer: false,
     returnToStudy: false,
+    timing: null, // answer time of the card on screen: { key, shownAt, flipMs }
+    typed: null, // typed answer of the card on screen, compared (TypeAnswer.compare)
+    studyDecks: {}, // deckId -> deck, loaded when a session starts (per-deck study options)
     cardSortOrder: 'desc',
     studyDeckFilter: null,
     cardListScrollY: 0,
-    cardSearchQuery: ''
+    cardSearchQuery: '',
+    forecastDays: 30,
+    stats: { deckId: '', days: 90 }, // statistics page filter (days 0 = all time)
+    collapsedDecks: [],
+    session: null, // custom study: { label, reschedule }
+    customStudy: { deckId: '', query: '', order: 'due', limit: 50, reschedule: false },
+    backupMerge: null, // dry-run result of a backup merge: { fileName, exportedAt, plan }
+    importJob: null, // text import wizard: { fileName, buffer, encoding, delimiter, hasHeader, mapping, deckId, dupMode }
+    noteTypeDraft: null, // note type being edited (unsaved)
+    browserQuery: '',
+    browserSelection: [],
+    returnToBrowser: false
 };
 
 // --- Database ---
@@ -26,6 +125,7 @@ const db = {
             req.onerror = e => reject("DB Error: " + e.target.error);
             req.onupgradeneeded = e => {
                 const d = e.target.result;
+                const withUid = new Set(); // stores already given uids by an earlier migration step
                 if (!d.objectStoreNames.contains('decks')) {
                     d.createObjectStore('decks', { keyPath: 'id', autoIncrement: true });
                 }
@@ -39,87 +139,2277 @@ const db = {
                     ls.createIndex('cardId', 'cardId', { unique: false });
                     ls.createIndex('reviewedAt', 'reviewedAt', { unique: false });
                 }
+                if (!d.objectStoreNames.contains('settings')) {
+                    d.createObjectStore('settings', { keyPath: 'key' });
+                }
+                if (!d.objectStoreNames.contains('presets')) {
+                    const ps = d.createObjectStore('presets', { keyPath: 'id', autoIncrement: true });
+                    ps.add({ ...DEFAULT_PRESET, id: 1, uid: 'preset-default' });
+                    withUid.add('presets').add('decks');
+                    // Decks that carried their own study options get a preset named after them
+                    const keys = ['learningSteps', 'relearningSteps', 'newPerDay', 'reviewsPerDay'];
+                    e.target.transaction.objectStore('decks').openCursor().onsuccess = ev => {
+                        const cur = ev.target.result; if (!cur) return;
+                        const deck = cur.value;
+                        deck.uid = deck.uid || newUid();
+                        if (keys.some(k => deck[k] != null)) {
+                            const preset = { ...DEFAULT_PRESET, name: deck.name, uid: newUid() };
+                            keys.forEach(k => { if (deck[k] != null) preset[k] = deck[k]; delete deck[k]; });
+                            ps.add(preset).onsuccess = ev2 => { deck.presetId = ev2.target.result; cur.update(deck); cur.continue(); };
+                        } else { deck.presetId = 1; cur.update(deck); cur.continue(); }
+                    };
+                }
+                if (!d.objectStoreNames.contains('tombstones')) {
+                    d.createObjectStore('tombstones', { keyPath: 'uid' });
+                    // Stable ids for merging backups; the default preset is the same on every device
+                    for (const s of SYNC_STORES.filter(x => !withUid.has(x) && d.objectStoreNames.contains(x))) {
+                        e.target.transaction.objectStore(s).openCursor().onsuccess = ev => {
+                            const cur = ev.target.result; if (!cur) return;
+                            if (!cur.value.uid) cur.update({ ...cur.value, uid: s === 'presets' && cur.value.id === 1 ? 'preset-default' : newUid() });
+                            cur.continue();
+                        };
+                    }
+                }
+                if (!d.objectStoreNames.contains('journal')) {
+                    d.createObjectStore('journal', { keyPath: 'seq', autoIncrement: true });
+                }
+                // Image Blobs keyed by content hash; data URLs still in cards are moved by Media.migrate
+                if (!d.objectStoreNames.contains('media')) {
+                    d.createObjectStore('media', { keyPath: 'hash' });
+                }
+                if (!d.objectStoreNames.contains('noteTypes')) {
+                    const nt = d.createObjectStore('noteTypes', { keyPath: 'id', autoIncrement: true });
+                    BUILTIN_NOTE_TYPES.forEach(t => nt.add(t)); // no timestamps: identical on every device until edited
+                    d.createObjectStore('notes', { keyPath: 'id', autoIncrement: true });
+                    e.target.transaction.objectStore('cards').createIndex('noteId', 'noteId', { unique: false });
+                }
+                // v8: lapse counts of existing cards are derived from their review history
+                if (e.oldVersion && e.oldVersion < 8) {
+                    const tx = e.target.transaction;
+                    tx.objectStore('logs').getAll().onsuccess = ev => {
+                        const lapses = Logic.countLapses(ev.target.result);
+                        tx.objectStore('cards').openCursor().onsuccess = ev2 => {
+                            const cur = ev2.target.result; if (!cur) return;
+                            if (cur.value.lapses == null) cur.update({ ...cur.value, lapses: lapses[cur.value.id] || 0 });
+                            cur.continue();
+                        };
+                    };
+                }
             };
             req.onsuccess = e => { this.instance = e.target.result; resolve(); };
         });
     },
-    _tx(store, mode) {
-        return this.instance.transaction(store, mode).objectStore(store);
+    _tx(store, mode) {
+        return this.instance.transaction(store, mode).objectStore(store);
+    },
+    getAll(s) { return new Promise(r => { const req = this._tx(s, 'readonly').getAll(); req.onsuccess = () => r(req.result); }); },
+    get(s, k) { return new Promise(r => { const req = this._tx(s, 'readonly').get(k); req.onsuccess = () => r(req.result); }); },
+    keys(s) { return new Promise(r => { const req = this._tx(s, 'readonly').getAllKeys(); req.onsuccess = () => r(req.result); }); },
+    add(s, v) { return this._write(s, 'add', v); },
+    put(s, v) { return this._write(s, 'put', v); },
+    _write(s, method, v) {
+        return new Promise(r => {
+            const tx = this.instance.transaction([s, ...(s === 'cards' ? ['media'] : []), ...(this._journaled(s) ? ['journal'] : [])], 'readwrite');
+            const write = before => {
+                const req = tx.objectStore(s)[method](this._uid(s, v));
+                this._journal(tx, s, s === 'media' ? v.hash : v.uid);
+                if (s === 'cards') this._mediaRefs(tx, before, v);
+                req.onsuccess = () => r(req.result);
+            };
+            // Cards: the previous version is needed to move media reference counts
+            if (s === 'cards' && v.id != null) { const g = tx.objectStore(s).get(v.id); g.onsuccess = () => write(g.result); }
+            else write(null);
+        });
+    },
+    del(s, k) {
+        if (!SYNC_STORES.includes(s)) return new Promise(r => { const req = this._tx(s, 'readwrite').delete(k); req.onsuccess = () => r(); });
+        // Leave a tombstone so that a merged backup does not bring the record back
+        return new Promise(r => {
+            const tx = this.instance.transaction([s, 'tombstones', ...(s === 'cards' ? ['media', 'notes'] : []), ...(this._journaled(s) ? ['journal'] : [])], 'readwrite');
+            const tomb = (store, rec) => {
+                if (!rec?.uid) return;
+                tx.objectStore('tombstones').put({ uid: rec.uid, store, deletedAt: new Date().toISOString() });
+                this._journal(tx, store, rec.uid);
+            };
+            const req = tx.objectStore(s).get(k);
+            req.onsuccess = () => {
+                if (s === 'cards') this._mediaRefs(tx, req.result, null);
+                tomb(s, req.result);
+                tx.objectStore(s).delete(k);
+                // A note goes with its last card
+                if (s === 'cards' && req.result?.noteId != null) {
+                    const noteId = req.result.noteId, left = tx.objectStore('cards').index('noteId').count(noteId);
+                    left.onsuccess = () => {
+                        if (left.result) return;
+                        const note = tx.objectStore('notes').get(noteId);
+                        note.onsuccess = () => {
+                            if (!note.result) return;
+                            tomb('notes', note.result);
+                            tx.objectStore('notes').delete(noteId);
+                        };
+                    };
+                }
+            };
+            tx.oncomplete = () => r();
+        });
+    },
+    _uid(s, v) { return SYNC_STORES.includes(s) && !v.uid ? Object.assign(v, { uid: newUid() }) : v; },
+    // Change journal for sync: only kept while a sync endpoint is configured
+    _journaled(s) { return (SYNC_STORES.includes(s) || s === 'media') && Sync.configured(); },
+    _journal(tx, s, uid) { if (this._journaled(s)) tx.objectStore('journal').add({ store: s, uid, at: new Date().toISOString() }); },
+    // Move the `refs` counters of the media a card referenced before / references after a write;
+    // media nothing points to any more is dropped in the same transaction
+    _mediaRefs(tx, before, after) {
+        const delta = new Map();
+        Media.refsOf(before).forEach(h => delta.set(h, (delta.get(h) || 0) - 1));
+        Media.refsOf(after).forEach(h => delta.set(h, (delta.get(h) || 0) + 1));
+        const ms = tx.objectStore('media');
+        for (const [hash, d] of delta) {
+            if (!d) continue;
+            const req = ms.get(hash);
+            req.onsuccess = () => {
+                if (!req.result) return;
+                const refs = Math.max(0, (req.result.refs || 0) + d);
+                if (refs || d > 0) ms.put({ ...req.result, refs }); else ms.delete(hash);
+            };
+        }
+    },
+    // Sync journal: queue entries ({ store, uid, at }) / drop the ones a push delivered (by seq)
+    addJournal(entries) { return this._journalTx(js => entries.forEach(e => js.add(e))); },
+    deleteJournal(seqs) { return this._journalTx(js => seqs.forEach(seq => js.delete(seq))); },
+    _journalTx(fn) {
+        return new Promise(r => {
+            const tx = this.instance.transaction('journal', 'readwrite');
+            fn(tx.objectStore('journal'));
+            tx.oncomplete = () => r();
+        });
+    },
+    getCardsByDeck(deckId) {
+        return new Promise(r => {
+            const idx = this._tx('cards', 'readonly').index('deckId');
+            const req = idx.getAll(IDBKeyRange.only(Number(deckId)));
+            req.onsuccess = () => r(req.result);
+        });
+    },
+    getCardsByNote(noteId) {
+        return new Promise(r => {
+            const idx = this._tx('cards', 'readonly').index('noteId');
+            const req = idx.getAll(IDBKeyRange.only(Number(noteId)));
+            req.onsuccess = () => r(req.result);
+        });
+    },
+    getLogsByCard(cardId) {
+        return new Promise(r => {
+            const idx = this._tx('logs', 'readonly').index('cardId');
+            const req = idx.getAll(IDBKeyRange.only(Number(cardId)));
+            req.onsuccess = () => r(req.result);
+        });
+    },
+    getLogsSince(date) {
+        return new Promise(r => {
+            const idx = this._tx('logs', 'readonly').index('reviewedAt');
+            const req = idx.getAll(IDBKeyRange.lowerBound(date.toISOString()));
+            req.onsuccess = () => r(req.result);
+        });
+    }
+};
+
+// --- Settings (key/value, cached in memory after App.init) ---
+const Settings = {
+    cache: {},
+    async load() { (await db.getAll('settings')).forEach(s => { this.cache[s.key] = s.value; }); },
+    get(key, def) { return key in this.cache ? this.cache[key] : def; },
+    async set(key, value) { this.cache[key] = value; await db.put('settings', { key, value }); }
+};
+
+// --- Events ---
+// No inline handlers in the markup: on('click', 'editCard', id) emits data-onclick='["editCard",id]'
+// and one document listener per event type calls App.editCard(id) for the nearest such element.
+// Arguments go through JSON; these tokens stand for the element and the event instead.
+const Events = {
+    TYPES: ['click', 'change', 'input', 'submit', 'mousedown', 'dragstart', 'dragover', 'dragleave', 'drop'],
+    ARGS: { $el: el => el, $form: el => el.form, $value: el => el.value, $checked: el => el.checked, $event: (el, e) => e },
+    init() { this.TYPES.forEach(type => document.addEventListener(type, e => this.dispatch(e))); },
+    dispatch(e) {
+        const el = e.target.closest?.(`[data-on${e.type}]`);
+        if (!el) return;
+        if (e.type === 'submit' || el.getAttribute('href') === '#') e.preventDefault();
+        const [method, ...args] = JSON.parse(el.dataset['on' + e.type]);
+        App[method](...args.map(a => Object.hasOwn(this.ARGS, a) ? this.ARGS[a](el, e) : a));
+    }
+};
+const on = (type, method, ...args) => html`data-on${type}="${JSON.stringify([method, ...args])}"`;
+
+// --- Router ---
+// Every view has a hash URL (#/decks/3, #/cards/12, #/study …). A view records its URL when it
+// is rendered (Router.set), which adds a history entry unless the URL is already current; reload
+// and back/forward replay the URL through App.openRoute. Each entry keeps its scroll position.
+const Router = {
+    // view -> path; :name segments are numeric ids
+    PATHS: {
+        dashboard: '', deckList: 'decks', deckNew: 'decks/new', deckEdit: 'decks/:deckId/edit', cardManager: 'decks/:deckId',
+        cardNew: 'decks/:deckId/cards/new', noteNew: 'decks/:deckId/notes/new', cardForm: 'cards/:cardId', noteForm: 'notes/:noteId',
+        study: 'study', dueList: 'due', customStudy: 'custom-study', browser: 'browser', stats: 'stats', forecast: 'forecast',
+        settings: 'settings', optimizer: 'optimizer', import: 'import', mergeBackup: 'merge-backup',
+        noteTypes: 'note-types', noteTypeNew: 'note-types/new', noteTypeForm: 'note-types/:typeId'
+    },
+    replaying: false, // while a URL is replayed, views replace the entry instead of adding one
+
+    url(view, params = {}) { return '#/' + this.PATHS[view].replace(/:(\w+)/g, (_, k) => params[k]); },
+    set(view, params) {
+        state.currentView = view;
+        const url = this.url(view, params);
+        if (location.hash === url) return;
+        if (this.replaying) { history.replaceState(history.state, '', url); return; }
+        history.replaceState({ scrollY: window.scrollY }, '');
+        history.pushState(null, '', url);
+    },
+    // "#/decks/3" -> { view: 'cardManager', params: { deckId: 3 } }; unknown paths go to the dashboard
+    match(hash) {
+        const path = decodeURIComponent(hash.replace(/^#\/?/, '')).replace(/\/$/, '');
+        for (const [view, pattern] of Object.entries(this.PATHS)) {
+            const keys = [];
+            const re = new RegExp('^' + pattern.replace(/:(\w+)/g, (_, k) => { keys.push(k); return '(\\d+)'; }) + '$');
+            const m = path.match(re);
+            if (m) return { view, params: Object.fromEntries(keys.map((k, i) => [k, Number(m[i + 1])])) };
+        }
+        return { view: 'dashboard', params: {} };
+    },
+    async open(scrollY = 0) {
+        const { view, params } = this.match(location.hash);
+        this.replaying = true;
+        try { await App.openRoute(view, params); } finally { this.replaying = false; }
+        window.scrollTo(0, scrollY);
+    },
+    init() {
+        window.addEventListener('popstate', e => this.open(e.state?.scrollY || 0));
+        return this.open();
+    }
+};
+
+// --- Keyboard shortcuts ---
+// One keydown listener for the whole app. Keys typed into form fields are left alone, and
+// Enter / Space on a focused button activate that button as usual. Study actions only apply
+// while a card is on screen; the help overlay lists the current bindings.
+const Shortcuts = {
+    recording: null, // { action, button } while the settings page waits for a new key
+    returnFocus: null, // element focused before an overlay opened
+
+    bindings() { return { ...DEFAULT_SHORTCUTS, ...Settings.get('shortcuts', {}) }; },
+    keyOf(e) { return e.key.length === 1 ? e.key.toLowerCase() : e.key; },
+    label(key) { return { ' ': 'Space', Escape: 'Esc' }[key] || (key.length === 1 ? key.toUpperCase() : key); },
+    init() { document.addEventListener('keydown', e => this.handle(e)); },
+
+    handle(e) {
+        if (this.recording) {
+            if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return; // wait for the key itself
+            e.preventDefault(); App.recordShortcutKey(e.key === 'Escape' ? null : this.keyOf(e)); return;
+        }
+        const overlay = document.querySelector('.kbd-overlay, .img-modal-overlay');
+        if (overlay) {
+            // Focus stays inside the overlay; Esc (or the help key for the help) closes it
+            if (e.key === 'Escape' || (overlay.matches('.kbd-overlay') && this.keyOf(e) === this.bindings().help)) { e.preventDefault(); this.closeOverlay(); }
+            else if (e.key === 'Tab') { e.preventDefault(); overlay.querySelector('button').focus(); }
+            return;
+        }
+        if (e.ctrlKey || e.metaKey || e.altKey || e.isComposing || e.repeat) return;
+        const t = e.target;
+        if (/^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName) || t.isContentEditable) {
+            if (e.key === 'Escape') t.blur();
+            return;
+        }
+        if (e.key === 'Enter' || e.key === ' ') {
+            // Elements acting as buttons (the flashcard) respond like one
+            if (t.matches('[role="button"]:not(button)')) { e.preventDefault(); t.click(); return; }
+            if (t.closest('button, a[href], summary')) return;
+        }
+        const key = this.keyOf(e), b = this.bindings();
+        const action = Object.keys(DEFAULT_SHORTCUTS).find(a => b[a] === key);
+        if (action && this.run(action) !== false) e.preventDefault();
+    },
+
+    // -> false when the action does not apply to the current view
+    run(action) {
+        if (action === 'help') { this.openHelp(); return; }
+        if (action === 'search') {
+            const input = document.querySelector('.card-search-input');
+            if (!input) return false;
+            input.focus(); input.select(); return;
+        }
+        if (state.currentView !== 'study') return false;
+        if (action === 'undo') { if (!state.undoStack.length) return false; App.undoReview(); return; }
+        const card = state.studyQueue[state.currentCardIndex];
+        if (!card) return false;
+        const grade = action.match(/^grade(\d)$/);
+        if (grade || action === 'flip') {
+            if (!!grade !== state.isShowingAnswer) return false;
+            return grade ? App.submitReview(Number(grade[1])) : App.flipCard();
+        }
+        if (action === 'edit') App.editCardFromStudy(card.id, card.deckId);
+        else if (action === 'suspend') App.suspendCardFromStudy(card.id);
+        else if (action === 'bury') App.buryCardFromStudy(card.id);
+        else if (action === 'replay') App.playCardAudio(true);
+    },
+
+    // Overlays take the focus and hand it back when closed
+    focusOverlay(button) { this.returnFocus = document.activeElement; button.focus(); },
+    closeOverlay() {
+        document.querySelector('.kbd-overlay, .img-modal-overlay')?.remove();
+        if (this.returnFocus?.isConnected) this.returnFocus.focus();
+        this.returnFocus = null;
+    },
+    openHelp() {
+        const b = this.bindings();
+        const overlay = document.createElement('div');
+        overlay.className = 'kbd-overlay';
+        overlay.setAttribute('role', 'dialog'); overlay.setAttribute('aria-modal', 'true'); overlay.setAttribute('aria-label', 'キーボードショートカット');
+        overlay.onclick = e => { if (e.target === overlay) this.closeOverlay(); };
+        overlay.innerHTML = html`
+            <div class="card kbd-help">
+                <div class="flex justify-between items-center" style="margin-bottom:1rem">
+                    <h3><i data-lucide="keyboard"></i> キーボードショートカット</h3>
+                    <button class="btn btn-secondary">閉じる <kbd>Esc</kbd></button>
+                </div>
+                <table class="data-table">${Object.keys(DEFAULT_SHORTCUTS).map(a => html`<tr><td><kbd>${this.label(b[a])}</kbd></td><td>${SHORTCUT_LABELS[a]}</td></tr>`)}</table>
+                <p style="color:var(--txt2);font-size:.85rem;margin-top:1rem">
+                    Tab / Shift+Tab でボタンや入力欄を移動し、Enter / Space で押せます。入力欄から抜けるには Esc。<br>
+                    キーは設定画面で変更できます。
+                </p>
+            </div>`;
+        overlay.querySelector('button').onclick = () => this.closeOverlay();
+        document.body.appendChild(overlay);
+        Icons.refresh();
+        this.focusOverlay(overlay.querySelector('button'));
+    }
+};
+
+// --- Media ---
+// Images live in the `media` store as Blobs keyed by the SHA-256 of their bytes, so the same
+// picture is stored once however many cards use it. Cards only hold references: "media:<hash>"
+// in frontImage / backImage and <img data-media="<hash>"> inside text. `refs` counts the
+// referencing cards and is maintained by db on every card write; unreferenced media is removed.
+const Media = {
+    PREFIX: 'media:',
+    MAX_SIZE: 1600, // longest side in px after downscaling
+    QUALITY: 0.85,
+    GRACE_MS: 3600000, // uploaded but not yet saved with a card
+    urls: new Map(), // hash -> object URL
+
+    isRef(v) { return typeof v === 'string' && v.startsWith(this.PREFIX); },
+    hashOf(ref) { return ref.slice(this.PREFIX.length); },
+    refsOf(card) {
+        if (!card) return [];
+        const inline = [card.frontText, card.backText].flatMap(t => [...(t || '').matchAll(/data-media="(\w+)"/g)].map(m => m[1]));
+        return [card.frontImage, card.backImage, card.frontAudio, card.backAudio].filter(v => this.isRef(v)).map(v => this.hashOf(v)).concat(inline);
+    },
+    async hash(blob) {
+        const d = new Uint8Array(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+        return [...d].map(b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    // Blob -> "media:<hash>", stored once per content
+    async put(blob) {
+        const hash = await this.hash(blob);
+        if (!await db.get('media', hash)) await db.put('media', { hash, blob, type: blob.type, size: blob.size, refs: 0, createdAt: new Date().toISOString() });
+        return this.PREFIX + hash;
+    },
+    // Downscale to MAX_SIZE and re-encode (WebP, JPEG where WebP encoding is missing). GIF and SVG
+    // are kept as they are; the original wins when re-encoding does not make it smaller.
+    async downscale(file) {
+        if (!/^image\/(png|jpeg|webp|bmp)$/.test(file.type)) return file;
+        const bmp = await createImageBitmap(file);
+        const scale = Math.min(1, this.MAX_SIZE / Math.max(bmp.width, bmp.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bmp.width * scale); canvas.height = Math.round(bmp.height * scale);
+        canvas.getContext('2d').drawImage(bmp, 0, 0, canvas.width, canvas.height);
+        bmp.close();
+        const encode = type => new Promise(r => canvas.toBlob(r, type, this.QUALITY));
+        let out = await encode('image/webp');
+        if (!out || out.type !== 'image/webp') out = await encode(file.type === 'image/png' ? 'image/png' : 'image/jpeg');
+        return out && (scale < 1 || out.size < file.size) ? out : file;
+    },
+    async url(hash) {
+        if (!this.urls.has(hash)) {
+            const rec = await db.get('media', hash);
+            if (!rec) return '';
+            this.urls.set(hash, URL.createObjectURL(rec.blob));
+        }
+        return this.urls.get(hash);
+    },
+    // <img> for a card image field (data URLs of records not migrated yet still show); attrs is html`...`
+    img(ref, attrs = '') {
+        if (this.isRef(ref)) return html`<img data-media="${this.hashOf(ref)}" ${attrs}>`;
+        return html`<img src="${/^data:image\//.test(ref) ? ref : ''}" ${attrs}>`;
+    },
+    // Resolve <img data-media> / <audio data-media> below root to object URLs
+    hydrate(root) {
+        root.querySelectorAll('[data-media]:not([src])').forEach(async img => { img.src = await this.url(img.dataset.media); });
+    },
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const r = new FileReader();
+            r.onload = () => resolve(r.result); r.onerror = () => reject(r.error);
+            r.readAsDataURL(blob);
+        });
+    },
+    async dataUrlToBlob(url) { return (await fetch(url)).blob(); },
+
+    // Cards written before the media store (or restored from old backups) embed data URLs
+    async migrate() {
+        for (const card of await db.getAll('cards')) {
+            const next = { ...card };
+            for (const k of ['frontImage', 'backImage']) if (card[k]?.startsWith('data:')) next[k] = await this.put(await this.dataUrlToBlob(card[k]));
+            if (next.frontImage !== card.frontImage || next.backImage !== card.backImage) await db.put('cards', next);
+        }
+    },
+    // Recount refs from the cards (writes that bypass db: backup merge, sync) and drop media
+    // nothing references, leaving fresh uploads alone for GRACE_MS
+    async recount() {
+        const counts = new Map();
+        (await db.getAll('cards')).forEach(c => this.refsOf(c).forEach(h => counts.set(h, (counts.get(h) || 0) + 1)));
+        const cutoff = new Date(Date.now() - this.GRACE_MS).toISOString();
+        await new Promise(r => {
+            const tx = db.instance.transaction('media', 'readwrite');
+            tx.objectStore('media').openCursor().onsuccess = e => {
+                const cur = e.target.result; if (!cur) return;
+                const refs = counts.get(cur.key) || 0;
+                if (!refs && cur.value.createdAt < cutoff) { cur.delete(); URL.revokeObjectURL(this.urls.get(cur.key)); this.urls.delete(cur.key); }
+                else if (refs !== cur.value.refs) cur.update({ ...cur.value, refs });
+                cur.continue();
+            };
+            tx.oncomplete = () => r();
+        });
+    }
+};
+
+// --- Markup ---
+// Card text is a Markdown subset plus furigana, rendered at display time:
+//   **bold** *italic* ~~strike~~ ==highlight== `code`, "# " headings, "- " / "1. " lists,
+//   "---" rule, line breaks kept; 漢字[かんじ] (a run of kanji) or |任意の文字[よみ] -> <ruby>.
+// HTML already in the text (Anki imports, cloze spans, inline media) passes through a tag and
+// attribute whitelist, so the result is safe to put into innerHTML (and is Html.raw for html`...`).
+const Markup = {
+    TAGS: {
+        B: [], STRONG: [], I: [], EM: [], U: [], S: [], DEL: [], MARK: [], SUB: [], SUP: [], SMALL: [], CODE: [], PRE: [],
+        BR: [], HR: [], P: [], DIV: [], SPAN: ['class'], UL: [], OL: [], LI: [], H2: [], H3: [], H4: [], BLOCKQUOTE: [],
+        RUBY: [], RT: [], RP: [], TABLE: [], TBODY: [], THEAD: [], TR: [], TD: [], TH: [], IMG: ['src', 'alt', 'data-media']
+    },
+    DROP: new Set(['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'NOSCRIPT', 'TEXTAREA', 'SELECT']),
+    KANJI: '\\u3400-\\u9FFF\\uF900-\\uFAFF々〆ヵヶ',
+
+    render(src) {
+        if (!src) return '';
+        const out = [];
+        let para = [], list = null;
+        const flushPara = () => { if (para.length) out.push(`<p>${para.map(l => this.inline(l)).join('<br>')}</p>`); para = []; };
+        const flushList = () => { if (list) out.push(`<${list.tag}>${list.items.map(x => `<li>${this.inline(x)}</li>`).join('')}</${list.tag}>`); list = null; };
+        for (const line of String(src).replace(/\r\n?/g, '\n').split('\n')) {
+            let m;
+            if (!line.trim()) { flushPara(); flushList(); continue; }
+            if ((m = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/))) {
+                const tag = /\d/.test(m[1]) ? 'ol' : 'ul';
+                flushPara();
+                if (list?.tag !== tag) { flushList(); list = { tag, items: [] }; }
+                list.items.push(m[2]);
+                continue;
+            }
+            flushList();
+            if ((m = line.match(/^(#{1,3})\s+(.*)$/))) { flushPara(); out.push(`<h${m[1].length + 1}>${this.inline(m[2])}</h${m[1].length + 1}>`); continue; }
+            if (/^\s*(-{3,}|\*{3,})\s*$/.test(line)) { flushPara(); out.push('<hr>'); continue; }
+            para.push(line);
+        }
+        flushPara(); flushList();
+        return Html.raw(this.sanitize(out.join('')));
+    },
+    inline(s) {
+        const codes = [];
+        s = s.replace(/`([^`]+)`/g, (_, c) => { codes.push(c.replace(/[&<>]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[ch])); return `\u0000${codes.length - 1}\u0000`; })
+            .replace(/\*\*(?!\s)(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*(?![\s*])([^*]+?)\*/g, '<em>$1</em>')
+            .replace(/~~(?!\s)(.+?)~~/g, '<del>$1</del>')
+            .replace(/==(?!\s)(.+?)==/g, '<mark>$1</mark>');
+        return this.ruby(s).replace(/\u0000(\d+)\u0000/g, (_, i) => `<code>${codes[i]}</code>`);
+    },
+    ruby(s) {
+        const tag = (base, rt) => `<ruby>${base}<rp>(</rp><rt>${rt}</rt><rp>)</rp></ruby>`;
+        return s.replace(/[|｜]([^|｜[\]<>]+?)\[([^[\]<>]+?)\]/g, (_, b, r) => tag(b, r))
+            .replace(new RegExp(`([${this.KANJI}]+)\\[([^[\\]<>]+?)\\]`, 'g'), (_, b, r) => tag(b, r));
+    },
+    // Keep whitelisted tags and attributes, unwrap other elements, drop scripts and the like
+    sanitize(html) {
+        const tpl = document.createElement('template');
+        tpl.innerHTML = html;
+        const clean = parent => {
+            for (const el of [...parent.children]) {
+                clean(el);
+                const allowed = this.TAGS[el.tagName];
+                if (!allowed) { if (this.DROP.has(el.tagName)) el.remove(); else el.replaceWith(...el.childNodes); continue; }
+                for (const a of [...el.attributes])
+                    if (!allowed.includes(a.name) || (a.name === 'src' && !/^(data:image\/|blob:)/.test(a.value))) el.removeAttribute(a.name);
+            }
+        };
+        clean(tpl.content);
+        return tpl.innerHTML;
+    },
+    // Text only (readings and markup removed), for speech synthesis and typed answers
+    plain(src) {
+        return String(this.render(src)).replace(/<rp>.*?<\/rp>|<rt>.*?<\/rt>/g, '').replace(/<(br|\/p|\/li|\/h\d)>/g, ' ').replace(/<[^>]*>/g, '')
+            .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+            .replace(/\s+/g, ' ').trim();
+    }
+};
+
+// --- Typed answers ---
+// Decks with typeAnswer ask for the answer before the card is flipped. The typed text is compared
+// with the back (the deletions on cloze cards) character by character, skipping what the deck's
+// typeIgnore lists (TYPE_IGNORE). The result suggests a grade; the user still picks the button.
+const TypeAnswer = {
+    MAX_CELLS: 250000, // longer pairs are only checked for equality, not diffed
+
+    expected(card) {
+        const cloze = [...(card.backText || '').matchAll(/<span class="cloze">(.*?)<\/span>/g)].map(m => Markup.plain(m[1]));
+        return cloze.length ? cloze.join(', ') : Markup.plain(card.backText || '');
+    },
+    // -> [{ ch, key }]; key '' marks a character the comparison skips
+    units(text, ignore) {
+        let s = ignore.includes('width') ? text.normalize('NFKC') : text;
+        s = s.replace(/\s+/g, ' ').trim();
+        return [...s].map(ch => {
+            let key = ignore.includes('case') ? ch.toLowerCase() : ch;
+            if ((ignore.includes('space') && ch === ' ') || (ignore.includes('punct') && /[\p{P}\p{S}]/u.test(ch))) key = '';
+            return { ch, key };
+        });
+    },
+    // Longest common subsequence of the compared characters -> matched [i, j] index pairs
+    align(a, b) {
+        const ia = a.flatMap((u, i) => u.key ? [i] : []), ib = b.flatMap((u, j) => u.key ? [j] : []);
+        const n = ia.length, m = ib.length;
+        if (n * m > this.MAX_CELLS) {
+            const same = n === m && ia.every((i, k) => a[i].key === b[ib[k]].key);
+            return same ? ia.map((i, k) => [i, ib[k]]) : [];
+        }
+        const dp = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+        for (let x = n - 1; x >= 0; x--) for (let y = m - 1; y >= 0; y--)
+            dp[x][y] = a[ia[x]].key === b[ib[y]].key ? dp[x + 1][y + 1] + 1 : Math.max(dp[x + 1][y], dp[x][y + 1]);
+        const pairs = [];
+        for (let x = 0, y = 0; x < n && y < m;) {
+            if (a[ia[x]].key === b[ib[y]].key) { pairs.push([ia[x], ib[y]]); x++; y++; }
+            else if (dp[x + 1][y] >= dp[x][y + 1]) x++;
+            else y++;
+        }
+        return pairs;
+    },
+    // -> { typed, ops: [{ op: 'same' | 'extra' | 'missing', text }], ratio, exact, grade }
+    // 'extra' is typed but not in the answer, 'missing' is in the answer but was not typed;
+    // skipped characters of the answer are shown as they are
+    compare(typed, expected, ignore = []) {
+        const a = this.units(typed, ignore), b = this.units(expected, ignore);
+        const pairs = this.align(a, b);
+        const ops = [];
+        const push = (op, ch) => { const last = ops[ops.length - 1]; if (last?.op === op) last.text += ch; else ops.push({ op, text: ch }); };
+        let i = 0, j = 0;
+        for (const [pi, pj] of [...pairs, [a.length, b.length]]) {
+            for (; i < pi; i++) if (a[i].key) push('extra', a[i].ch);
+            for (; j < pj; j++) push(b[j].key ? 'missing' : 'same', b[j].ch);
+            if (pi < a.length) { push('same', b[pj].ch); i++; j++; }
+        }
+        const na = a.filter(u => u.key).length, nb = b.filter(u => u.key).length;
+        const exact = pairs.length === na && pairs.length === nb;
+        const ratio = na + nb ? 2 * pairs.length / (na + nb) : 1;
+        // 普通 for a match, 難しい for a near miss (a typo or two), otherwise 再学習
+        const grade = exact ? 3 : na && ratio >= 0.8 ? 2 : 1;
+        return { typed, ops, ratio, exact, grade };
+    }
+};
+
+// --- Sound ---
+// Card audio: the attached or recorded file of a side (frontAudio / backAudio), otherwise
+// speech synthesis of the side's text when the deck has a TTS language for that side
+const Sound = {
+    player: null,
+    // -> { url } | { text, lang } | null
+    async source(card, side) {
+        const ref = card[side + 'Audio'];
+        if (Media.isRef(ref)) { const url = await Media.url(Media.hashOf(ref)); if (url) return { url }; }
+        const deck = await db.get('decks', card.deckId);
+        const text = Markup.plain(card[side + 'Text']);
+        const sides = deck?.ttsSide || 'front';
+        if (!deck?.ttsLang || !text || !window.speechSynthesis || (sides !== 'both' && sides !== side)) return null;
+        return { text, lang: deck.ttsLang };
+    },
+    play(src) {
+        this.stop();
+        if (src.url) {
+            this.player = new Audio(src.url);
+            this.player.play().catch(() => {}); // autoplay can be blocked until the first tap
+        } else {
+            const u = new SpeechSynthesisUtterance(src.text);
+            u.lang = src.lang;
+            speechSynthesis.speak(u);
+        }
+    },
+    stop() {
+        if (this.player) { this.player.pause(); this.player = null; }
+        if (window.speechSynthesis) speechSynthesis.cancel();
+    }
+};
+
+// --- Schedulers ---
+// Every scheduler implements the same interface:
+//   initial()                 -> scheduling fields of a fresh card
+//   review(card, q, ctx)      -> scheduling fields after answering with quality q (SM-2 scale 0-5)
+//   retrievability(card, t)   -> recall probability t days after the last review
+//   interval(card, target)    -> days until the next review for a target retention (0-1)
+// ctx = { now: Date, forgetRate: number, params?: DEFAULT_PARAMS shape, retention?: target }.
+// The scheduler id is stamped on each card as `scheduler`.
+const Schedulers = {
+    sm2: {
+        id: 'sm2', label: 'SM-2 + 補正',
+        initial() { return { n: 0, I: 0, EF: 2.5 }; },
+        retrievability(card, t) { return Math.exp(-t / Math.max(card.I * card.EF, 0.1)); },
+        // SM-2 intervals assume ~90% recall; scale them like an interval modifier
+        interval(card, target) {
+            if (card.I <= 1) return 1;
+            return Math.max(1, Math.round(card.I * Math.log(target) / Math.log(0.9)));
+        },
+        review(card, q, ctx) {
+            const P = ctx.params || Logic.params();
+            let eMult = 1.0;
+            if (ctx.forgetRate > P.forgetHigh) eMult = P.eMultHigh;
+            else if (ctx.forgetRate < P.forgetLow) eMult = P.eMultLow;
+
+            const cs = Logic.calculateCardStats(card, ctx.forgetRate, ctx.now, P);
+            let rMult = 1.0;
+            if (cs.retentionScore < P.retentionLow) rMult = P.rMultLow;
+            else if (cs.retentionScore > P.retentionHigh) rMult = P.rMultHigh;
+
+            const sm2 = Logic.calculateSM2(card, q);
+            const EF = Math.max(sm2.EF * eMult, 1.3);
+            let I;
+            if (sm2.n > 2 && q >= 3) I = Math.round(card.I * EF * rMult);
+            else if (q < 3) I = 1;
+            else I = sm2.I;
+            return { n: sm2.n, I, EF };
+        }
+    },
+
+    // FSRS v4.5 (stability S in days, difficulty D in 1..10), weights from params.fsrsW
+    fsrs: {
+        id: 'fsrs', label: 'FSRS',
+        DECAY: -0.5, FACTOR: 19 / 81,
+        initial() { return { n: 0, I: 0, EF: 2.5, S: null, D: null }; },
+        // SM-2 quality (1,3,4,5) -> FSRS rating (Again, Hard, Good, Easy)
+        rating(q) { return q < 3 ? 1 : Math.min(q - 1, 4); },
+        initD(G, w) { return Math.min(Math.max(w[4] - (G - 3) * w[5], 1), 10); },
+        retrievability(card, t) {
+            if (!card.S) return 0;
+            return Math.pow(1 + this.FACTOR * t / card.S, this.DECAY);
+        },
+        interval(card, target) {
+            if (!card.S || card.n === 0) return 1;
+            return Math.max(1, Math.round(card.S / this.FACTOR * (Math.pow(target, 1 / this.DECAY) - 1)));
+        },
+        review(card, q, ctx) {
+            const w = (ctx.params || Logic.params()).fsrsW, G = this.rating(q);
+            let S, D;
+            if (!card.S) { S = w[G - 1]; D = this.initD(G, w); }
+            else {
+                const last = card.lastReviewAt ? new Date(card.lastReviewAt) : ctx.now;
+                const R = this.retrievability(card, Math.max((ctx.now - last) / 864e5, 0));
+                D = w[7] * this.initD(3, w) + (1 - w[7]) * (card.D - w[6] * (G - 3));
+                D = Math.min(Math.max(D, 1), 10);
+                if (G === 1) {
+                    S = w[11] * Math.pow(card.D, -w[12]) * (Math.pow(card.S + 1, w[13]) - 1) * Math.exp(w[14] * (1 - R));
+                    S = Math.min(S, card.S);
+                } else {
+                    const hard = G === 2 ? w[15] : 1, easy = G === 4 ? w[16] : 1;
+                    S = card.S * (Math.exp(w[8]) * (11 - card.D) * Math.pow(card.S, -w[9]) * (Math.exp(w[10] * (1 - R)) - 1) * hard * easy + 1);
+                }
+            }
+            const n = G > 1 ? card.n + 1 : 0;
+            return { n, I: this.interval({ n, S }, ctx.retention || Logic.targetRetention()), EF: card.EF, S, D };
+        }
+    }
+};
+
+// --- SM-2 Algorithm ---
+const Logic = {
+    now() { return new Date(); },
+
+    getScheduler(card) { return Schedulers[card.scheduler] || Schedulers.sm2; },
+    params() { return { ...DEFAULT_PARAMS, ...Settings.get('params', {}) }; },
+    targetRetention() { return Settings.get('targetRetention', 0.9); },
+    endOfToday() { const d = new Date(); d.setHours(23, 59, 59, 999); return d; },
+
+    // Due date after a review, from the scheduler's interval at the target retention
+    nextReviewDate(card, from, target = this.targetRetention(), maxInterval = Infinity) {
+        const next = new Date(from);
+        next.setDate(next.getDate() + Math.min(this.getScheduler(card).interval(card, target), maxInterval));
+        return next;
+    },
+
+    // Re-derive nextReviewAt of every card in review after the target retention changed
+    async rescheduleAll() {
+        const [cards, opts] = await Promise.all([db.getAll('cards'), this.loadDeckOptions()]);
+        for (const c of cards) {
+            if (!c.lastReviewAt || this.cardState(c) !== 'review') continue;
+            c.nextReviewAt = this.nextReviewDate(c, c.lastReviewAt, undefined, opts[c.deckId]?.maxInterval).toISOString();
+            await db.put('cards', c);
+        }
+    },
+
+    // Rebuild a card's scheduling state from its review history with the given scheduler
+    replayLogs(card, logs, schedulerId, forgetRate, maxInterval) {
+        const sched = Schedulers[schedulerId] || Schedulers.sm2;
+        const c = { ...card, ...sched.initial(), scheduler: sched.id, lastReviewAt: null, nextReviewAt: null, totalSuccesses: 0 };
+        const sorted = [...logs].sort((a, b) => a.reviewedAt.localeCompare(b.reviewedAt));
+        for (const l of sorted) {
+            if (l.scheduled === false) continue;
+            Object.assign(c, sched.review(c, l.q, { now: new Date(l.reviewedAt), forgetRate }));
+            c.lastReviewAt = l.reviewedAt;
+            if (l.q >= 3) c.totalSuccesses++;
+        }
+        c.lapses = sorted.filter(l => this.isLapse(l)).length;
+        // Cards in the middle of their learning steps keep their intra-day due time
+        if (card.state === 'learning' || card.state === 'relearning') c.nextReviewAt = card.nextReviewAt;
+        else if (c.lastReviewAt) c.nextReviewAt = this.nextReviewDate(c, c.lastReviewAt, undefined, maxInterval).toISOString();
+        return c;
+    },
+
+    // Switch every card of a deck to another scheduler, migrating state from its logs
+    async migrateDeck(deckId, schedulerId) {
+        const [cards, { forgetRate }, opts] = await Promise.all([db.getCardsByDeck(deckId), this.getUserStats(), this.getDeckOptions(deckId)]);
+        for (const c of cards) {
+            if ((c.scheduler || 'sm2') === schedulerId) continue;
+            const logs = await db.getLogsByCard(c.id);
+            await db.put('cards', this.replayLogs(c, logs, schedulerId, forgetRate, opts.maxInterval));
+        }
+    },
+
+    // Deck hierarchy: decks point at their parent through `parentId` (null = top level)
+    deckChildren(decks) {
+        const m = {};
+        decks.forEach(d => { (m[d.parentId || 0] = m[d.parentId || 0] || []).push(d); });
+        return m;
+    },
+    subtreeIds(decks, id) {
+        const kids = this.deckChildren(decks), out = new Set();
+        const walk = i => { out.add(i); (kids[i] || []).forEach(c => walk(c.id)); };
+        walk(Number(id));
+        return out;
+    },
+    deckPath(decks, id) {
+        const byId = {}; decks.forEach(d => { byId[d.id] = d; });
+        const parts = [], seen = new Set();
+        for (let d = byId[id]; d && !seen.has(d.id); d = byId[d.parentId]) { seen.add(d.id); parts.unshift(d.name); }
+        return parts.join('::');
+    },
+    // Depth-first display order: [{ deck, depth }]
+    deckTree(decks) {
+        const kids = this.deckChildren(decks), ids = new Set(decks.map(d => d.id)), out = [];
+        const walk = (list, depth) => list.forEach(d => { out.push({ deck: d, depth }); walk(kids[d.id] || [], depth + 1); });
+        // Decks whose parent no longer exists are shown at the top level
+        walk(decks.filter(d => !d.parentId || !ids.has(d.parentId)), 0);
+        return out;
+    },
+    // Sum a per-deck count over each deck's subtree
+    rollUp(decks, counts) {
+        const kids = this.deckChildren(decks), out = {};
+        const sum = id => out[id] ?? (out[id] = (counts[id] || 0) + (kids[id] || []).reduce((a, c) => a + sum(c.id), 0));
+        decks.forEach(d => sum(d.id));
+        return out;
+    },
+    // Walk "Parent::Child" down the existing decks without writing: the deepest one found and
+    // the names below it that ensureDeckPath would create
+    findDeckPath(decks, segments) {
+        let parentId = null, i = 0;
+        for (; i < segments.length; i++) {
+            const found = decks.find(d => d.name === segments[i] && (d.parentId || null) === parentId);
+            if (!found) break;
+            parentId = found.id;
+        }
+        return { parentId, missing: segments.slice(i) };
+    },
+    // Resolve "Parent::Child" to the id of the parent deck, creating missing ancestors
+    async ensureDeckPath(segments, template = {}) {
+        let { parentId, missing } = this.findDeckPath(await db.getAll('decks'), segments);
+        for (const name of missing) {
+            parentId = await db.add('decks', { scheduler: 'sm2', presetId: 1, ...template, name, parentId, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() });
+        }
+        return parentId;
+    },
+
+    // Same front / back text in the given cards -> { kind: 'both'|'front'|'back', card } or null
+    findDuplicate(cards, frontText, backText) {
+        const same = side => c => c[side] && c[side].trim() === { frontText, backText }[side];
+        const front = frontText ? cards.filter(same('frontText')) : [];
+        const back = backText ? cards.filter(same('backText')) : [];
+        if (!front.length && !back.length) return null;
+        const kind = front.length && back.length ? 'both' : front.length ? 'front' : 'back';
+        return { kind, card: front.find(c => back.includes(c)) || front[0] || back[0] };
+    },
+    newCard(deck, data) {
+        const sched = Schedulers[deck?.scheduler] || Schedulers.sm2;
+        return { ...data, ...sched.initial(), scheduler: sched.id, state: 'new', step: 0, nextReviewAt: null, totalSuccesses: 0, createdAt: new Date().toISOString() };
+    },
+    parseTags(str) { return [...new Set(str.split(/\s+/).map(t => t.trim()).filter(Boolean))]; },
+    // Back to a never-studied card (review history is kept)
+    resetScheduling(card) {
+        const sched = this.getScheduler(card);
+        return { ...card, ...sched.initial(), state: 'new', step: 0, nextReviewAt: null, lastReviewAt: null, totalSuccesses: 0, lapses: 0 };
+    },
+    // Move cards to another deck, migrating their state if the target uses another scheduler
+    async moveCards(cards, deckId) {
+        const [deck, { forgetRate }, opts] = await Promise.all([db.get('decks', deckId), this.getUserStats(), this.getDeckOptions(deckId)]);
+        const target = deck.scheduler || 'sm2';
+        for (const c of cards) {
+            let moved = { ...c, deckId, updatedAt: new Date().toISOString() };
+            if ((c.scheduler || 'sm2') !== target) moved = this.replayLogs(moved, await db.getLogsByCard(c.id), target, forgetRate, opts.maxInterval);
+            await db.put('cards', moved);
+        }
+    },
+
+    // Legacy cards have no `state`: reviewed ones are in review, the rest are new
+    cardState(card) { return card.state || (card.lastReviewAt || card.n > 0 ? 'review' : 'new'); },
+    // Suspended cards stay out of every session until resumed; buried ones until tomorrow
+    isBuried(card, now = new Date()) { return !!card.buriedUntil && new Date(card.buriedUntil) > now; },
+    isStudyable(card) { return !card.suspended && !this.isBuried(card); },
+    stateLabel(card) { return CARD_STATES[this.cardState(card)] + (card.suspended ? '・中断中' : this.isBuried(card) ? '・明日まで保留' : ''); },
+    // A lapse is a failed review (logs from before learning steps have no stateBefore)
+    isLapse(log) { return log.q < 3 && (!log.stateBefore || log.stateBefore === 'review'); },
+    // -> { cardId: lapses }
+    countLapses(logs) {
+        const out = {};
+        logs.forEach(l => { if (this.isLapse(l)) out[l.cardId] = (out[l.cardId] || 0) + 1; });
+        return out;
+    },
+    // Leech at the threshold, then again every half threshold while the card keeps failing
+    isLeech(lapses, opts) {
+        const t = opts.leechThreshold;
+        return t > 0 && lapses >= t && (lapses - t) % Math.ceil(t / 2) === 0;
+    },
+    leechChanges(card, opts) {
+        const out = {};
+        if (opts.leechAction !== 'suspend') out.tags = [...new Set([...(card.tags || []), LEECH_TAG])];
+        if (opts.leechAction !== 'tag') out.suspended = true;
+        return out;
+    },
+    presetOptions(preset) { return { ...DEFAULT_PRESET, ...preset }; },
+    // deckId -> options of the preset assigned to that deck
+    async loadDeckOptions() {
+        const [decks, presets] = await Promise.all([db.getAll('decks'), db.getAll('presets')]);
+        const pm = {}; presets.forEach(p => { pm[p.id] = p; });
+        const out = {};
+        decks.forEach(d => { out[d.id] = this.presetOptions(pm[d.presetId] || pm[1]); });
+        return out;
+    },
+    async getDeckOptions(deckId) { return (await this.loadDeckOptions())[deckId] || this.presetOptions(); },
+    presetFromForm(form) {
+        const num = (v, min, max) => Math.min(Math.max(parseFloat(v) || 0, min), max);
+        return {
+            name: form.presetName.value.trim() || DEFAULT_PRESET.name,
+            learningSteps: this.parseSteps(form.learningSteps.value),
+            relearningSteps: this.parseSteps(form.relearningSteps.value),
+            newPerDay: Math.round(num(form.newPerDay.value, 0, 9999)),
+            reviewsPerDay: Math.round(num(form.reviewsPerDay.value, 0, 99999)),
+            startingEase: num(form.startingEase.value, 1.3, 5),
+            maxInterval: Math.round(num(form.maxInterval.value, 1, 36500)),
+            easyBonus: num(form.easyBonus.value, 1, 3),
+            lapseMult: num(form.lapseMult.value, 0, 1),
+            leechThreshold: Math.round(num(form.leechThreshold.value, 0, 999)),
+            leechAction: LEECH_ACTIONS[form.leechAction.value] ? form.leechAction.value : DEFAULT_PRESET.leechAction
+        };
+    },
+    // "1m 10m 1d" <-> [1, 10, 1440]
+    parseSteps(str) {
+        const mult = { m: 1, h: 60, d: 1440 };
+        return str.split(/[\s,]+/).filter(Boolean).map(t => {
+            const m = t.match(/^(\d+(?:\.\d+)?)([mhd]?)$/i);
+            if (!m) throw new Error(`ステップの形式が不正です: ${t}`);
+            return Math.round(parseFloat(m[1]) * mult[(m[2] || 'm').toLowerCase()]);
+        });
+    },
+    formatSteps(steps) {
+        return steps.map(m => m % 1440 === 0 ? `${m / 1440}d` : m % 60 === 0 ? `${m / 60}h` : `${m}m`).join(' ');
+    },
+
+    // Answer a card. New/learning/relearning cards walk through their steps; the scheduler
+    // runs when a card graduates from learning or is answered in review (including lapses).
+    // opts is the deck's preset. Returns the updated card and whether the scheduler ran
+    // (stored on the log as `scheduled`).
+    answerCard(card, q, ctx, opts) {
+        const st = this.cardState(card), now = ctx.now;
+        const after = mins => new Date(now.getTime() + mins * 6e4).toISOString();
+        const toReview = c => ({ ...c, state: 'review', step: 0, nextReviewAt: this.nextReviewDate(c, now, ctx.retention, opts.maxInterval).toISOString() });
+        const scheduled = () => {
+            const base = st === 'new' ? { ...card, EF: opts.startingEase } : card;
+            const c = { ...base, ...this.getScheduler(card).review(base, q, ctx), lastReviewAt: now.toISOString() };
+            if (c.scheduler !== 'fsrs') {
+                if (q < 3 && opts.lapseMult > 0) c.I = Math.max(1, Math.round(card.I * opts.lapseMult));
+                else if (q >= 5 && st === 'review') c.I = Math.round(c.I * opts.easyBonus);
+            }
+            c.I = Math.min(c.I, opts.maxInterval);
+            if (q >= 3) c.totalSuccesses = (c.totalSuccesses || 0) + 1;
+            return c;
+        };
+
+        if (st === 'review') {
+            if (q >= 3) return { card: toReview(scheduled()), scheduled: true };
+            const c = { ...scheduled(), lapses: (card.lapses || 0) + 1 };
+            const leech = this.isLeech(c.lapses, opts);
+            if (leech) Object.assign(c, this.leechChanges(c, opts));
+            if (!opts.relearningSteps.length) return { card: toReview(c), scheduled: true, leech };
+            return { card: { ...c, state: 'relearning', step: 0, nextReviewAt: after(opts.relearningSteps[0]) }, scheduled: true, leech };
+        }
+
+        const steps = st === 'relearning' ? opts.relearningSteps : opts.learningSteps;
+        // Graduating: a new card gets its first scheduler review, a relearning card keeps its post-lapse state
+        const finish = () => st === 'relearning' ? { card: toReview(card), scheduled: false } : { card: toReview(scheduled()), scheduled: true };
+        if (q >= 5 || !steps.length) return finish();
+        let step = st === 'new' ? 0 : (card.step || 0);
+        if (q < 3) step = 0;
+        else if (q >= 4) step++; // "難しい" repeats the current step
+        if (step >= steps.length) return finish();
+        return { card: { ...card, state: st === 'new' ? 'learning' : st, step, nextReviewAt: after(steps[step]) }, scheduled: false };
+    },
+
+    calculateSM2(card, q) {
+        let { n, I, EF } = card;
+        let nextN, nextI, nextEF;
+        if (q < 3) { nextN = 0; nextI = 1; }
+        else {
+            nextN = n + 1;
+            if (nextN === 1) nextI = 1;
+            else if (nextN === 2) nextI = 6;
+            else nextI = Math.round(I * EF);
+        }
+        const delta = 5 - q;
+        nextEF = EF + (0.1 - delta * (0.08 + delta * 0.02));
+        if (nextEF < 1.3) nextEF = 1.3;
+        return { n: nextN, I: nextI, EF: nextEF };
+    },
+
+    async getUserStats() {
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - 30);
+        const iso = cutoff.toISOString();
+        return new Promise(r => {
+            const tx = db.instance.transaction('logs', 'readonly');
+            const idx = tx.objectStore('logs').index('reviewedAt');
+            const req = idx.getAll(IDBKeyRange.lowerBound(iso));
+            req.onsuccess = () => {
+                const res = req.result;
+                if (!res || !res.length) { r({ forgetRate: 0, total: 0 }); return; }
+                r({ forgetRate: res.filter(l => l.q < 3).length / res.length, total: res.length });
+            };
+            req.onerror = () => r({ forgetRate: 0, total: 0 });
+        });
+    },
+
+    calculateCardStats(card, userForgetRate, now = new Date(), P = this.params()) {
+        if (card.n === 0) return { retention: 0, forgetRisk: 1.0, priorityScore: 100 };
+        const lastReview = card.lastReviewAt ? new Date(card.lastReviewAt) : now;
+        const t = (now - lastReview) / 864e5;
+        const ret = this.getScheduler(card).retrievability(card, t);
+        const risk = 1 - ret;
+        const rScore = Math.min(100, Math.log2(1 + (card.totalSuccesses || card.n)) * card.EF * 10);
+        let overdue = 0;
+        if (card.nextReviewAt) { const d = new Date(card.nextReviewAt); if (now > d) overdue = (now - d) / 864e5; }
+        const ps = risk * P.wRisk + ((1 - rScore / 100) * P.wScore) + (1.0 / card.EF) * P.wEase + Math.log10(1 + overdue) * P.wOverdue;
+        return { retentionProbability: ret, forgetRisk: risk, retentionScore: rScore, priorityScore: ps };
+    },
+
+    // Cards scheduled up to the end of today (intervals already reflect the target retention)
+    async getDueCards() {
+        const allCards = await db.getAll('cards');
+        const end = this.endOfToday();
+        const { forgetRate } = await this.getUserStats();
+        const withP = allCards.map(c => ({ ...c, ...this.calculateCardStats(c, forgetRate) }));
+        const due = withP.filter(c => this.isStudyable(c) && (!c.nextReviewAt || new Date(c.nextReviewAt) <= end));
+        due.sort((a, b) => b.priorityScore - a.priorityScore);
+        return due;
+    },
+
+    // Today's session under each deck's limits: reviews by priority with new cards spread
+    // evenly between them, plus learning cards (shown once their step is due)
+    // deckFilter moves a deck (and its subdecks) to the front; onlyDeck restricts the session to a subtree
+    async buildSession(deckFilter = null, onlyDeck = null) {
+        const start = new Date(); start.setHours(0, 0, 0, 0);
+        const [allDue, opts, cards, todayLogs, decks] = await Promise.all([
+            this.getDueCards(), this.loadDeckOptions(), db.getAll('cards'), db.getLogsSince(start), db.getAll('decks')
+        ]);
+        const only = onlyDeck ? this.subtreeIds(decks, onlyDeck) : null;
+        const due = only ? allDue.filter(c => only.has(c.deckId)) : allDue;
+        const deckOf = {}; cards.forEach(c => { deckOf[c.id] = c.deckId; });
+        const newLeft = {}, revLeft = {};
+        Object.keys(opts).forEach(id => { newLeft[id] = opts[id].newPerDay; revLeft[id] = opts[id].reviewsPerDay; });
+        todayLogs.forEach(l => {
+            const d = deckOf[l.cardId];
+            if (l.stateBefore === 'new') newLeft[d]--;
+            else if (!l.stateBefore || l.stateBefore === 'review') revLeft[d]--;
+        });
+
+        const reviews = [], news = [], learning = [];
+        due.sort((a, b) => b.priorityScore - a.priorityScore || (a.createdAt || '').localeCompare(b.createdAt || ''));
+        for (const c of due) {
+            const st = this.cardState(c);
+            if (st === 'learning' || st === 'relearning') learning.push(c);
+            else if (st === 'new') { if (newLeft[c.deckId] > 0) { news.push(c); newLeft[c.deckId]--; } }
+            else if (revLeft[c.deckId] > 0) { reviews.push(c); revLeft[c.deckId]--; }
+        }
+
+        const gap = news.length ? Math.max(1, Math.floor(reviews.length / news.length)) : Infinity;
+        let queue = [], ni = 0;
+        reviews.forEach((c, i) => { queue.push(c); if ((i + 1) % gap === 0 && ni < news.length) queue.push(news[ni++]); });
+        queue.push(...news.slice(ni));
+        // If deck filter is set, push those cards to front
+        if (deckFilter) {
+            const ids = this.subtreeIds(decks, deckFilter);
+            queue = [...queue.filter(c => ids.has(c.deckId)), ...queue.filter(c => !ids.has(c.deckId))];
+        }
+        learning.sort((a, b) => a.nextReviewAt.localeCompare(b.nextReviewAt));
+        return { queue, learning, counts: { review: reviews.length, new: news.length, learning: learning.length } };
+    },
+
+    // Reviews falling due on each of the next `days` days (index 0 = today, overdue included),
+    // following every card through repeated "Good" answers with its own scheduler
+    async forecast(days) {
+        const [cards, { forgetRate }, opts] = await Promise.all([db.getAll('cards'), this.getUserStats(), this.loadDeckOptions()]);
+        const counts = new Array(days).fill(0);
+        const start = new Date(); start.setHours(0, 0, 0, 0);
+        const P = this.params(), target = this.targetRetention();
+        for (const card of cards) {
+            if (!card.nextReviewAt || card.suspended) continue;
+            const sched = this.getScheduler(card);
+            let c = { ...card }, due = new Date(card.nextReviewAt);
+            for (;;) {
+                const day = Math.max(0, Math.floor((due - start) / 864e5));
+                if (day >= days) break;
+                counts[day]++;
+                const at = due < start ? new Date(start) : due;
+                c = { ...c, ...sched.review(c, 4, { now: at, forgetRate, params: P, retention: target }) };
+                c.lastReviewAt = at.toISOString();
+                due = this.nextReviewDate(c, at, target, opts[c.deckId]?.maxInterval);
+            }
+        }
+        return counts;
+    }
+};
+
+// --- Notes ---
+// A note holds the field values of a note type (noteTypes store); the type's templates render
+// them into cards, one per template or, for cloze types, one per cloze number. The generated
+// cards are ordinary cards carrying noteId + ord with the rendered frontText / backText, so
+// study, search, backup and sync need nothing special. Saving a note re-renders its cards.
+const Notes = {
+    CLOZE: /\{\{c(\d+)::([\s\S]*?)(?:::([^}]*?))?\}\}/g,
+
+    // Anki template: {{Field}}, {{text:Field}}, {{cloze:Field}}, {{#Field}}…{{/Field}}, {{^Field}}…{{/Field}}
+    fillTemplate(tpl, fields, cloze) {
+        tpl = tpl.replace(/\{\{([#^])\s*([^}]+?)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g,
+            (_, kind, name, inner) => !!(fields[name] || '').trim() === (kind === '#') ? inner : '');
+        return tpl.replace(/\{\{([^}]+)\}\}/g, (_, tag) => {
+            const parts = tag.split(':').map(x => x.trim()), name = parts.pop();
+            let v = fields[name] ?? '';
+            if (parts.includes('cloze') && cloze) v = v.replace(this.CLOZE,
+                (m, n, text, hint) => Number(n) !== cloze.ord ? text : `<span class="cloze">${cloze.answer ? text : `[${hint || '...'}]`}</span>`);
+            if (parts.includes('text')) v = Apkg.stripHtml(v);
+            return v;
+        }).trim();
+    },
+    fieldMap(type, note) { return Object.fromEntries(type.fields.map((name, i) => [name, note.fields[i] || ''])); },
+    clozeNumbers(note) {
+        return [...new Set(note.fields.flatMap(v => [...(v || '').matchAll(this.CLOZE)].map(m => Number(m[1]))))].sort((a, b) => a - b);
+    },
+    // -> [{ ord, frontText, backText }]; templates whose front renders empty make no card
+    generate(type, note) {
+        const fields = this.fieldMap(type, note);
+        if (type.kind === 'cloze') {
+            const t = type.templates[0];
+            return this.clozeNumbers(note).map(n => ({
+                ord: n - 1, frontText: this.fillTemplate(t.front, fields, { ord: n, answer: false }), backText: this.fillTemplate(t.back, fields, { ord: n, answer: true })
+            }));
+        }
+        return type.templates.map((t, i) => ({ ord: t.ord ?? i, frontText: this.fillTemplate(t.front, fields), backText: this.fillTemplate(t.back, fields) }))
+            .filter(c => Apkg.stripHtml(c.frontText));
+    },
+    // Write the note and bring its cards in line -> { added, updated, empty: cards no template produces any more }
+    async save(note) {
+        const type = await db.get('noteTypes', note.noteTypeId);
+        note.updatedAt = new Date().toISOString();
+        note.id = await db.put('notes', note);
+        const cards = await db.getCardsByNote(note.id);
+        const gen = this.generate(type, note);
+        const deckId = cards[0]?.deckId ?? note.deckId;
+        const deck = await db.get('decks', deckId);
+        const res = { added: 0, updated: 0, empty: cards.filter(c => !gen.some(g => g.ord === c.ord)) };
+        for (const g of gen) {
+            const ex = cards.find(c => c.ord === g.ord);
+            const data = { frontText: g.frontText, backText: g.backText, tags: note.tags || [] };
+            if (!ex) {
+                await db.add('cards', Logic.newCard(deck, { deckId, noteId: note.id, ord: g.ord, frontImage: '', backImage: '', ...data, updatedAt: note.updatedAt }));
+                res.added++;
+            } else if (Object.keys(data).some(k => JSON.stringify(ex[k] ?? []) !== JSON.stringify(data[k]))) {
+                await db.put('cards', { ...ex, ...data, updatedAt: note.updatedAt });
+                res.updated++;
+            }
+        }
+        return res;
+    },
+    // Re-render every note of a type after its fields or templates changed
+    async saveAll(typeId) {
+        const res = { added: 0, updated: 0, empty: [] };
+        for (const n of (await db.getAll('notes')).filter(n => n.noteTypeId === typeId)) {
+            const r = await this.save(n);
+            res.added += r.added; res.updated += r.updated; res.empty.push(...r.empty);
+        }
+        return res;
+    },
+    // Field renamed in the type editor: follow it in the templates
+    renameField(templates, from, to) {
+        const esc = from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const re = new RegExp(`(\\{\\{[#^/]?\\s*(?:[\\w-]+:)*)${esc}(\\s*\\}\\})`, 'g');
+        const sub = x => x.replace(re, (_, head, tail) => head + to + tail);
+        return templates.map(t => ({ ...t, front: sub(t.front), back: sub(t.back) }));
+    }
+};
+
+// --- Search Query Language ---
+// Whitespace-separated terms are ANDed, "OR" separates alternatives, "-" negates a term.
+//   word / "two words"      front or back text contains (case-insensitive)
+//   front:x back:x          one side only
+//   tag:verb tag:ve* tag:none
+//   deck:"TOEIC"            deck (by name or full "A::B" path, includes subdecks), * wildcard
+//   is:new|learning|review|relearning|due|suspended|buried
+//   due:today due:3         due by the end of today / within N days (excluding new cards)
+//   added:7 rated:7         created / last reviewed within N days
+//   failed:3                answered "再学習" within N days
+//   ef<1.8 ivl>=30 reps=0 lapses>=4   numeric comparison on EF, interval (days), repetitions, lapses
+const Query = {
+    tokenize(str) {
+        const out = [];
+        let i = 0;
+        while (i < str.length) {
+            if (/\s/.test(str[i])) { i++; continue; }
+            let tok = '', quoted = false;
+            while (i < str.length && !/\s/.test(str[i])) {
+                if (str[i] === '"') {
+                    const end = str.indexOf('"', i + 1);
+                    tok += str.slice(i + 1, end < 0 ? str.length : end);
+                    i = end < 0 ? str.length : end + 1; quoted = true;
+                } else tok += str[i++];
+            }
+            out.push({ tok, quoted });
+        }
+        return out;
+    },
+
+    // -> array of OR-groups, each an array of { neg, key, op, value }
+    parse(str) {
+        const groups = [[]];
+        for (const { tok, quoted } of this.tokenize(str)) {
+            if (!quoted && tok.toUpperCase() === 'OR') { groups.push([]); continue; }
+            let t = tok, neg = false;
+            if (t.startsWith('-') && t.length > 1) { neg = true; t = t.slice(1); }
+            let m;
+            if ((m = t.match(/^(ef|ivl|reps|lapses)(<=|>=|<|>|=)(-?\d+(?:\.\d+)?)$/i))) groups[groups.length - 1].push({ neg, key: m[1].toLowerCase(), op: m[2], value: parseFloat(m[3]) });
+            else if ((m = t.match(/^(tag|deck|is|due|added|rated|failed|front|back):(.*)$/i))) groups[groups.length - 1].push({ neg, key: m[1].toLowerCase(), op: ':', value: m[2] });
+            else groups[groups.length - 1].push({ neg, key: 'text', op: ':', value: t });
+        }
+        return groups.filter(g => g.length);
+    },
+
+    wildcard(pattern) {
+        return new RegExp('^' + pattern.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$');
+    },
+
+    // ctx = { decks, now, failed: Map cardId -> latest failure time }
+    matchTerm(card, t, ctx) {
+        const v = String(t.value).toLowerCase();
+        const days = n => ctx.now.getTime() - n * 864e5;
+        switch (t.key) {
+            case 'text': return (card.frontText || '').toLowerCase().includes(v) || (card.backText || '').toLowerCase().includes(v);
+            case 'front': return (card.frontText || '').toLowerCase().includes(v);
+            case 'back': return (card.backText || '').toLowerCase().includes(v);
+            case 'tag': {
+                const tags = card.tags || [];
+                if (v === 'none') return !tags.length;
+                const re = this.wildcard(v);
+                return tags.some(x => re.test(x.toLowerCase()));
+            }
+            case 'deck': {
+                const re = this.wildcard(v);
+                const hit = ctx.decks.filter(d => re.test(d.name.toLowerCase()) || re.test(Logic.deckPath(ctx.decks, d.id).toLowerCase()));
+                return hit.some(d => Logic.subtreeIds(ctx.decks, d.id).has(card.deckId));
+            }
+            case 'is':
+                if (v === 'due') return Logic.cardState(card) !== 'new' && !!card.nextReviewAt && new Date(card.nextReviewAt) <= Logic.endOfToday();
+                if (v === 'suspended') return !!card.suspended;
+                if (v === 'buried') return Logic.isBuried(card, ctx.now);
+                return Logic.cardState(card) === v;
+            case 'due': {
+                if (Logic.cardState(card) === 'new' || !card.nextReviewAt) return false;
+                const end = Logic.endOfToday();
+                if (v !== 'today') end.setDate(end.getDate() + (parseInt(v) || 0));
+                return new Date(card.nextReviewAt) <= end;
+            }
+            case 'added': return !!card.createdAt && new Date(card.createdAt).getTime() >= days(parseInt(v) || 1);
+            case 'rated': return !!card.lastReviewAt && new Date(card.lastReviewAt).getTime() >= days(parseInt(v) || 1);
+            case 'failed': return (ctx.failed.get(card.id) || 0) >= days(parseInt(v) || 1);
+            default: {
+                const x = { ef: card.EF, ivl: card.I, reps: card.n, lapses: card.lapses || 0 }[t.key];
+                return { '<': x < t.value, '>': x > t.value, '<=': x <= t.value, '>=': x >= t.value, '=': x === t.value }[t.op];
+            }
+        }
+    },
+
+    match(card, groups, ctx) {
+        if (!groups.length) return true;
+        return groups.some(g => g.every(t => this.matchTerm(card, t, ctx) !== t.neg));
+    },
+
+    async search(str) {
+        const [cards, decks] = await Promise.all([db.getAll('cards'), db.getAll('decks')]);
+        const groups = this.parse(str), ctx = { decks, now: new Date(), failed: new Map() };
+        // Only read the log when a failed: term needs it
+        const spans = groups.flat().filter(t => t.key === 'failed').map(t => parseInt(t.value) || 1);
+        if (spans.length) {
+            const logs = await db.getLogsSince(new Date(ctx.now.getTime() - Math.max(...spans) * 864e5));
+            for (const l of logs) if (l.q < 3) ctx.failed.set(l.cardId, Math.max(ctx.failed.get(l.cardId) || 0, new Date(l.reviewedAt).getTime()));
+        }
+        return cards.filter(c => this.match(c, groups, ctx));
+    },
+
+    // Custom study: cards matching the query (optionally within a deck), ordered and capped.
+    // Suspended and buried cards are left out.
+    async customSession({ deckId, query, order, limit }) {
+        let q = query;
+        if (deckId) q = `deck:"${Logic.deckPath(await db.getAll('decks'), Number(deckId))}" ${q}`;
+        const cards = (await this.search(q)).filter(c => Logic.isStudyable(c));
+        const time = x => x ? new Date(x).getTime() : Infinity;
+        if (order === 'random') {
+            for (let i = cards.length - 1; i > 0; i--) { const j = Math.floor(Math.random() * (i + 1)); [cards[i], cards[j]] = [cards[j], cards[i]]; }
+        } else if (order === 'ef') cards.sort((a, b) => a.EF - b.EF);
+        else if (order === 'added') cards.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+        else cards.sort((a, b) => time(a.nextReviewAt) - time(b.nextReviewAt));
+        return cards.slice(0, limit);
+    }
+};
+
+// --- Text Import ---
+// CSV / TSV / "front<TAB>back" text and Anki's plain-text export, which may start with
+// "#key:value" header lines (#separator, #html, #tags, #deck, #deck column, #tags column ...).
+const Importer = {
+    ENCODINGS: { 'utf-8': 'UTF-8', shift_jis: 'Shift_JIS', 'utf-16le': 'UTF-16' },
+    DELIMITERS: { auto: '自動判定', '\t': 'タブ', ',': 'カンマ', ';': 'セミコロン', '|': '縦線' },
+    FIELDS: { ignore: '（使わない）', front: '表', back: '裏', tags: 'タグ', deck: '単語帳' },
+    ANKI_SEPARATORS: { tab: '\t', comma: ',', semicolon: ';', space: ' ', pipe: '|', colon: ':' },
+    DUP_MODES: { skip: 'スキップ', update: '既存のカードを更新', both: '両方残す' },
+
+    decode(buffer, encoding) {
+        return new TextDecoder(encoding).decode(buffer).replace(/^\uFEFF/, '');
+    },
+
+    readHeaders(text) {
+        const headers = {};
+        const lines = text.split(/\r?\n/);
+        let i = 0;
+        for (; i < lines.length && lines[i].startsWith('#'); i++) {
+            const m = lines[i].match(/^#([\w ]+):(.*)$/);
+            if (m) headers[m[1].trim().toLowerCase()] = m[2].trim();
+        }
+        return { headers, body: lines.slice(i).join('\n') };
+    },
+
+    detectDelimiter(text) {
+        const sample = text.split('\n').slice(0, 20).join('\n');
+        const counts = ['\t', ',', ';', '|'].map(d => [d, sample.split(d).length]);
+        counts.sort((a, b) => b[1] - a[1]);
+        return counts[0][1] > 1 ? counts[0][0] : '\t';
+    },
+
+    // RFC 4180 style: quoted fields may contain delimiters, newlines and "" escapes
+    parseRows(text, delim) {
+        const rows = [];
+        let row = [], field = '', quoted = false, i = 0;
+        while (i < text.length) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') { field += '"'; i += 2; continue; }
+                if (ch === '"') { quoted = false; i++; continue; }
+                field += ch; i++; continue;
+            }
+            if (ch === '"' && field === '') { quoted = true; i++; }
+            else if (ch === delim) { row.push(field); field = ''; i++; }
+            else if (ch === '\n' || ch === '\r') {
+                row.push(field); field = '';
+                if (row.some(f => f.trim())) rows.push(row);
+                row = [];
+                i += ch === '\r' && text[i + 1] === '\n' ? 2 : 1;
+            } else { field += ch; i++; }
+        }
+        row.push(field);
+        if (row.some(f => f.trim())) rows.push(row);
+        return rows;
+    },
+
+    // job = { buffer, encoding, delimiter, hasHeader, mapping }
+    // -> { rows, header, delimiter, columns, mapping, deck, tags }
+    analyze(job) {
+        const { headers, body } = this.readHeaders(this.decode(job.buffer, job.encoding));
+        const ankiSep = headers.separator && (this.ANKI_SEPARATORS[headers.separator.toLowerCase()] || headers.separator);
+        const delimiter = job.delimiter !== 'auto' ? job.delimiter : ankiSep || this.detectDelimiter(body);
+        const rows = this.parseRows(body, delimiter);
+        const header = job.hasHeader ? rows.shift() : null;
+        const columns = Math.max(0, ...rows.slice(0, 50).map(r => r.length), header ? header.length : 0);
+        let mapping = job.mapping;
+        if (!mapping) {
+            // Columns named by Anki headers first, the first two remaining ones become front / back
+            const col = key => parseInt(headers[key]) - 1;
+            const reserved = { 'tags column': 'tags', 'deck column': 'deck', 'notetype column': 'ignore', 'guid column': 'ignore' };
+            mapping = Array(columns).fill(null);
+            for (const [key, m] of Object.entries(reserved)) if (col(key) >= 0 && col(key) < columns) mapping[col(key)] = m;
+            const fields = ['front', 'back'];
+            mapping = mapping.map(m => m || fields.shift() || 'ignore');
+        }
+        return { rows, header, delimiter, columns, mapping, deck: headers.deck || '', tags: Logic.parseTags(headers.tags || '') };
+    },
+
+    mapRow(row, mapping) {
+        const out = { front: '', back: '', tags: [], deck: '' };
+        mapping.forEach((m, i) => {
+            const v = (row[i] || '').trim();
+            if (m === 'tags') out.tags.push(...Logic.parseTags(v));
+            else if (m === 'front' || m === 'back' || m === 'deck') out[m] = out[m] ? out[m] + '<br>' + v : v;
+        });
+        return out;
+    },
+
+    // Adds the rows; per row the saveCard duplicate check decides skip / update / keep both
+    async run(analysis, { deckId, dupMode }) {
+        const target = await db.get('decks', deckId);
+        const template = { scheduler: target.scheduler, presetId: target.presetId };
+        const deckIds = {}, existing = {};
+        const res = { added: 0, updated: 0, skipped: 0 };
+        for (const row of analysis.rows) {
+            const r = this.mapRow(row, analysis.mapping);
+            if (!r.front && !r.back) { res.skipped++; continue; }
+            let id = deckId;
+            if (r.deck) id = deckIds[r.deck] ??= await Logic.ensureDeckPath(r.deck.split('::').map(x => x.trim()).filter(Boolean), template);
+            const cards = existing[id] ??= await db.getCardsByDeck(id);
+            const tags = Logic.parseTags([...analysis.tags, ...r.tags].join(' '));
+            const dup = Logic.findDuplicate(cards, r.front, r.back);
+            if (dup && dupMode === 'skip') { res.skipped++; continue; }
+            if (dup && dupMode === 'update') {
+                Object.assign(dup.card, { frontText: r.front, backText: r.back, tags: Logic.parseTags([...(dup.card.tags || []), ...tags].join(' ')), updatedAt: new Date().toISOString() });
+                await db.put('cards', dup.card);
+                res.updated++; continue;
+            }
+            const deck = id === deckId ? target : await db.get('decks', id);
+            const card = Logic.newCard(deck, {
+                deckId: id, frontText: r.front, frontImage: '', backText: r.back, backImage: '',
+                frontImgScale: 100, backImgScale: 100, layoutMode: 'vertical', tags, updatedAt: new Date().toISOString()
+            });
+            card.id = await db.add('cards', card);
+            cards.push(card);
+            res.added++;
+        }
+        return res;
+    }
+};
+
+// --- Backup merge ---
+// Backups reference records by `uid` (deckUid / parentUid / presetUid / cardUid) instead of
+// the per-device auto-increment keys. Merging unions review logs, keeps the newer side of
+// decks / cards / presets, and applies tombstones to records not changed since the deletion.
+const Backup = {
+    VERSION: 2,
+    STORES: { presets: 'プリセット', decks: '単語帳', noteTypes: 'ノートタイプ', notes: 'ノート', cards: 'カード', logs: '復習履歴' },
+
+    async local() {
+        const all = await Promise.all([...SYNC_STORES, 'tombstones'].map(s => db.getAll(s)));
+        return { ...Object.fromEntries([...SYNC_STORES, 'tombstones'].map((s, i) => [s, all[i]])), media: await db.keys('media') };
+    },
+
+    // Media of the given hashes in portable form: { uid, hash, type, data (data URL) }
+    async packMedia(hashes) {
+        const out = [];
+        for (const hash of new Set(hashes)) {
+            const rec = await db.get('media', hash);
+            if (rec) out.push({ uid: hash, hash, type: rec.type, data: await Media.blobToDataUrl(rec.blob) });
+        }
+        return out;
+    },
+
+    pack({ decks, cards, logs, presets = [], tombstones = [], noteTypes = [], notes = [] }) {
+        const uids = list => new Map(list.map(x => [x.id, x.uid]));
+        const du = uids(decks), pu = uids(presets), cu = uids(cards), tu = uids(noteTypes), nu = uids(notes);
+        return {
+            presets, tombstones, noteTypes,
+            decks: decks.map(d => ({ ...d, parentUid: du.get(d.parentId) || null, presetUid: pu.get(d.presetId) || null })),
+            notes: notes.map(n => ({ ...n, noteTypeUid: tu.get(n.noteTypeId), deckUid: du.get(n.deckId) || null })),
+            cards: cards.map(c => ({ ...c, deckUid: du.get(c.deckId), noteUid: nu.get(c.noteId) || null })),
+            logs: logs.map(l => ({ ...l, cardUid: cu.get(l.cardId) }))
+        };
+    },
+
+    validate(bk) {
+        const d = bk && bk.data;
+        if (!d || typeof d !== 'object') throw new Error("バックアップファイルではありません");
+        for (const k of ['decks', 'cards', 'logs']) if (!Array.isArray(d[k])) throw new Error(`${k} がありません`);
+        for (const k of ['presets', 'tombstones', 'media', 'noteTypes', 'notes']) if (d[k] != null && !Array.isArray(d[k])) throw new Error(`${k} の形式が不正です`);
+        const v2 = bk.version >= 2;
+        const check = (list, name, why) => list.forEach((x, i) => { const msg = x && typeof x === 'object' ? why(x) : '形式が不正です'; if (msg) throw new Error(`${name}[${i}]: ${msg}`); });
+        const noUid = x => v2 && typeof x.uid !== 'string' ? 'uid がありません' : null;
+        const decks = new Set(d.decks.map(x => v2 ? x.uid : x.id));
+        check(d.decks, 'decks', x => typeof x.name !== 'string' ? '名前がありません' : noUid(x));
+        check(d.cards, 'cards', x => noUid(x) || (!decks.has(v2 ? x.deckUid : x.deckId) ? '単語帳への参照が不正です' : null));
+        check(d.logs, 'logs', x => noUid(x) || (typeof x.q !== 'number' || isNaN(Date.parse(x.reviewedAt)) ? '評価または日時が不正です' : null));
+        check(d.presets || [], 'presets', noUid);
+        check(d.noteTypes || [], 'noteTypes', x => noUid(x) || (!Array.isArray(x.fields) || !Array.isArray(x.templates) ? 'フィールドまたはテンプレートがありません' : null));
+        check(d.notes || [], 'notes', x => noUid(x) || (!Array.isArray(x.fields) ? 'フィールドがありません' : null));
+        check(d.tombstones || [], 'tombstones', x => typeof x.uid !== 'string' || !SYNC_STORES.includes(x.store) ? '形式が不正です' : null);
+        check(d.media || [], 'media', x => typeof x.hash !== 'string' || !/^data:/.test(x.data) ? '形式が不正です' : null);
+    },
+
+    // -> records of the file in portable form (v1 files are matched to local records by content)
+    incoming(bk, local) {
+        const d = bk.data;
+        if (bk.version >= 2) return { decks: d.decks, cards: d.cards, logs: d.logs, presets: d.presets || [], noteTypes: d.noteTypes || [], notes: d.notes || [], tombstones: d.tombstones || [], media: d.media || [] };
+        const key = (...xs) => xs.join('\u0000');
+        const lDeck = new Map(local.decks.map(x => [Logic.deckPath(local.decks, x.id), x.uid]));
+        const lDeckUid = new Map(local.decks.map(x => [x.id, x.uid]));
+        const lCard = new Map(local.cards.map(x => [key(lDeckUid.get(x.deckId), x.frontText, x.backText), x.uid]));
+        const lCardUid = new Map(local.cards.map(x => [x.id, x.uid]));
+        const lLog = new Map(local.logs.map(x => [key(lCardUid.get(x.cardId), x.reviewedAt), x.uid]));
+        const du = new Map(), cu = new Map();
+        const decks = d.decks.map(x => { const uid = lDeck.get(Logic.deckPath(d.decks, x.id)) || newUid(); du.set(x.id, uid); return { ...x, uid }; });
+        decks.forEach(x => { x.parentUid = du.get(x.parentId) || null; });
+        const cards = d.cards.map(x => {
+            const deckUid = du.get(x.deckId), uid = lCard.get(key(deckUid, x.frontText, x.backText)) || newUid();
+            cu.set(x.id, uid);
+            return { ...x, uid, deckUid };
+        });
+        const logs = d.logs.map(x => { const cardUid = cu.get(x.cardId); return { ...x, cardUid, uid: lLog.get(key(cardUid, x.reviewedAt)) || newUid() }; });
+        return { decks, cards, logs, presets: [], noteTypes: [], notes: [], tombstones: [], media: [] };
+    },
+
+    // Dry run -> { summary: store -> { added, updated, conflicts, deleted }, conflicts, puts, deletes, tombstones, media }
+    plan(local, inc) {
+        const stamp = x => [x.updatedAt, x.lastReviewAt, x.createdAt].filter(Boolean).sort().pop() || '';
+        const canon = x => {
+            const { id, deckId, parentId, presetId, cardId, noteId, noteTypeId, deckUid, parentUid, presetUid, cardUid, noteUid, noteTypeUid, ...rest } = x;
+            return JSON.stringify(rest, Object.keys(rest).sort());
+        };
+        const res = { summary: {}, conflicts: [], puts: {}, deletes: [], tombstones: [], media: [] };
+        const mine = {}, ids = {}, next = {}, decided = {};
+        const localTomb = new Map(local.tombstones.map(t => [t.uid, t]));
+        const conflict = (s, x, why) => { res.summary[s].conflicts++; res.conflicts.push({ store: s, label: x.name || x.frontText || x.fields?.[0] || x.uid, why }); };
+        for (const s of SYNC_STORES) {
+            mine[s] = new Map(local[s].map(x => [x.uid, x]));
+            ids[s] = new Map(local[s].map(x => [x.uid, x.id]));
+            next[s] = local[s].reduce((m, x) => Math.max(m, x.id), 0) + 1; // no spread: logs can be large
+            res.summary[s] = { added: 0, updated: 0, conflicts: 0, deleted: 0 };
+            res.puts[s] = []; decided[s] = [];
+        }
+        // Decide every incoming record first so that new ones get their local id before references are resolved
+        for (const s of SYNC_STORES) for (const x of inc[s]) {
+            const m = mine[s].get(x.uid), tomb = localTomb.get(x.uid);
+            if (!m) {
+                if (tomb && (s === 'logs' || tomb.deletedAt >= stamp(x))) { if (s !== 'logs') conflict(s, x, 'この端末で削除済み'); continue; }
+                ids[s].set(x.uid, next[s]++);
+                decided[s].push({ x, id: ids[s].get(x.uid), kind: 'added' });
+            } else if (s === 'logs' || canon(m) === canon(x)) continue;
+            else if (stamp(x) > stamp(m)) decided[s].push({ x, id: m.id, kind: 'updated' });
+            else conflict(s, x, 'この端末の方が新しい');
+        }
+        const ref = (s, uid) => uid ? ids[s].get(uid) : undefined;
+        for (const s of SYNC_STORES) for (const { x, id, kind } of decided[s]) {
+            const { deckUid, parentUid, presetUid, cardUid, noteUid, noteTypeUid, ...rec } = x;
+            rec.id = id;
+            if (s === 'decks') { rec.parentId = ref('decks', parentUid) ?? null; rec.presetId = ref('presets', presetUid) ?? mine.decks.get(x.uid)?.presetId ?? 1; }
+            if (s === 'notes') {
+                if ((rec.noteTypeId = ref('noteTypes', noteTypeUid)) == null) { conflict(s, x, 'ノートタイプが削除済み'); continue; }
+                rec.deckId = ref('decks', deckUid) ?? null;
+            }
+            if (s === 'cards' && (rec.deckId = ref('decks', deckUid)) == null) { conflict(s, x, '単語帳が削除済み'); continue; }
+            if (s === 'cards' && noteUid) rec.noteId = ref('notes', noteUid) ?? null;
+            if (s === 'logs' && (rec.cardId = ref('cards', cardUid)) == null) continue;
+            res.puts[s].push(rec); res.summary[s][kind]++;
+        }
+        for (const t of inc.tombstones) {
+            const m = mine[t.store].get(t.uid);
+            if (m && stamp(m) <= t.deletedAt) { res.deletes.push({ store: t.store, id: m.id, uid: t.uid }); res.summary[t.store].deleted++; }
+            if (!(localTomb.get(t.uid)?.deletedAt >= t.deletedAt)) res.tombstones.push(t);
+        }
+        // Media is content-addressed: only what this device does not have yet
+        const haveMedia = new Set(local.media || []);
+        res.media = (inc.media || []).filter(m => !haveMedia.has(m.hash));
+        return res;
+    },
+
+    // One transaction: either everything is written or nothing is. Changes pulled by Sync
+    // are not journaled again (journal = false) so they are not echoed back to the server.
+    // The writes bypass db, so media reference counts are recomputed afterwards.
+    async apply(plan, journal = true) {
+        const now = new Date().toISOString();
+        const media = await Promise.all(plan.media.map(async m => {
+            const blob = await Media.dataUrlToBlob(m.data);
+            return { hash: m.hash, blob, type: m.type || blob.type, size: blob.size, refs: 0, createdAt: now };
+        }));
+        await new Promise((resolve, reject) => {
+            journal = journal && Sync.configured();
+            const tx = db.instance.transaction([...SYNC_STORES, 'tombstones', 'media', ...(journal ? ['journal'] : [])], 'readwrite');
+            let err = null;
+            tx.oncomplete = () => resolve();
+            tx.onabort = () => reject(err || tx.error || new Error("中断されました"));
+            try {
+                for (const s of SYNC_STORES) plan.puts[s].forEach(x => tx.objectStore(s).put(x));
+                plan.deletes.forEach(x => tx.objectStore(x.store).delete(x.id));
+                plan.tombstones.forEach(t => tx.objectStore('tombstones').put(t));
+                media.forEach(m => tx.objectStore('media').put(m));
+                if (journal) {
+                    const at = new Date().toISOString();
+                    for (const s of SYNC_STORES) plan.puts[s].forEach(x => tx.objectStore('journal').add({ store: s, uid: x.uid, at }));
+                    plan.deletes.forEach(x => tx.objectStore('journal').add({ store: x.store, uid: x.uid, at }));
+                    media.forEach(m => tx.objectStore('journal').add({ store: 'media', uid: m.hash, at }));
+                }
+            } catch (e) { err = e; tx.abort(); }
+        });
+        // Cards from files older than the media store still embed data URLs
+        if (plan.puts.cards.some(c => /^data:/.test(c.frontImage || '') || /^data:/.test(c.backImage || ''))) await Media.migrate();
+        if (plan.puts.cards.length || plan.deletes.length || media.length) await Media.recount();
+    }
+};
+
+// --- Sync ---
+// Incremental sync with a self-hosted endpoint (protocol and reference server: sync/PROTOCOL.md).
+// While an endpoint is configured every write to a synced store is journaled; a sync pulls the
+// other devices' changes since the last cursor, merges them with the Backup rules, then pushes
+// the journaled records (everything on the first sync) numbered with this device's clock.
+const Sync = {
+    PUSH_BYTES: 4 * 1024 * 1024, // per /push request, well below the reference server's limit
+    running: null, // the sync in progress: the one at startup and 今すぐ同期 share it
+    lastError: null, // { message, at } of the last failed sync, null once one succeeds
+    configured() { return !!Settings.get('syncUrl'); },
+
+    async request(path, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        const token = Settings.get('syncToken');
+        if (token) headers.Authorization = 'Bearer ' + token;
+        const res = await fetch(Settings.get('syncUrl').replace(/\/+$/, '') + path, body ? { method: 'POST', headers, body: JSON.stringify(body) } : { headers });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+    },
+
+    // Latest change per uid -> the portable shape Backup.plan expects
+    incoming(changes) {
+        const last = new Map();
+        for (const c of changes) last.set(c.uid, c);
+        const inc = { tombstones: [], media: [] };
+        SYNC_STORES.forEach(s => { inc[s] = []; });
+        for (const c of last.values()) {
+            if (c.op === 'del') inc.tombstones.push(c.tombstone);
+            else if (inc[c.store]) inc[c.store].push(c.record);
+        }
+        return inc;
+    },
+
+    // Journaled uids -> changes without a clock, media first (cards refer to it); media records
+    // are packed only when their batch is built. seqs are the journal entries a change delivers.
+    async pending() {
+        const [local, journal] = await Promise.all([Backup.local(), db.getAll('journal')]);
+        const packed = Backup.pack(local);
+        const records = new Map();
+        SYNC_STORES.forEach(s => packed[s].forEach(x => records.set(x.uid, { store: s, record: x })));
+        const tombs = new Map(local.tombstones.map(t => [t.uid, t]));
+        const byUid = new Map();
+        for (const j of journal) {
+            if (!byUid.has(j.uid)) byUid.set(j.uid, { media: j.store === 'media', seqs: [] });
+            byUid.get(j.uid).seqs.push(j.seq);
+        }
+        const out = [];
+        for (const [uid, { media, seqs }] of byUid) {
+            const r = records.get(uid), t = tombs.get(uid);
+            if (media) out.push({ uid, store: 'media', op: 'put', seqs });
+            else if (r) out.push({ uid, store: r.store, op: 'put', record: r.record, seqs });
+            else if (t) out.push({ uid, store: t.store, op: 'del', tombstone: t, seqs });
+            else out.push({ seqs }); // gone without a tombstone: nothing to send
+        }
+        return out.sort((x, y) => (y.store === 'media') - (x.store === 'media'));
+    },
+
+    // The first sync with an endpoint sends everything. It goes through the journal like any
+    // edit, so a first sync that fails halfway resumes where it stopped.
+    async journalAll() {
+        const local = await Backup.local(), at = new Date().toISOString();
+        await db.addJournal([
+            ...local.media.map(hash => ({ store: 'media', uid: hash, at })),
+            ...SYNC_STORES.flatMap(s => local[s].map(x => ({ store: s, uid: x.uid, at }))),
+            ...local.tombstones.map(t => ({ store: t.store, uid: t.uid, at }))
+        ]);
+    },
+
+    // Sends the journal in requests of at most PUSH_BYTES (a larger single change goes alone).
+    // Each batch spends its clocks before it is sent: if the response is lost, the retry is
+    // numbered above them and accepted again instead of being skipped as already seen. Its
+    // journal entries are dropped once the server has it. -> number of changes pushed
+    async push(device) {
+        const enc = new TextEncoder();
+        let clock = Settings.get('syncClock', 0), batch = [], done = [], size = 0, pushed = 0;
+        const flush = async () => {
+            await Settings.set('syncClock', clock);
+            await this.request('/push', { device, changes: batch });
+            await db.deleteJournal(done);
+            pushed += batch.length; batch = []; done = []; size = 0;
+        };
+        for (const { seqs, ...change } of await this.pending()) {
+            if (change.store === 'media') [change.record] = await Backup.packMedia([change.uid]);
+            if (!change.uid || (change.op === 'put' && !change.record)) { done.push(...seqs); continue; }
+            const bytes = enc.encode(JSON.stringify(change)).length;
+            if (batch.length && size + bytes > this.PUSH_BYTES) await flush();
+            change.clock = ++clock;
+            batch.push(change); done.push(...seqs); size += bytes;
+        }
+        if (batch.length) await flush();
+        else if (done.length) await db.deleteJournal(done);
+        return pushed;
+    },
+
+    // -> { pulled: Backup summary, pushed: number of changes }
+    run() {
+        this.running ??= this.exchange()
+            .then(res => { this.lastError = null; return res; },
+                e => { this.lastError = { message: e.message, at: new Date().toISOString() }; throw e; })
+            .finally(() => { this.running = null; });
+        return this.running;
+    },
+    async exchange() {
+        const device = Settings.get('syncDevice');
+        const cursor = Settings.get('syncCursor');
+        const pulled = await this.request(`/pull?since=${cursor || 0}&device=${encodeURIComponent(device)}`);
+        const plan = Backup.plan(await Backup.local(), this.incoming(pulled.changes.filter(c => c.device !== device)));
+        await Backup.apply(plan, false);
+        if (cursor == null) await this.journalAll();
+        // The pulled changes are applied: a failed push below does not need them again
+        await Settings.set('syncCursor', pulled.seq);
+        const pushed = await this.push(device);
+        await Settings.set('syncLastAt', new Date().toISOString());
+        return { pulled: plan.summary, pushed };
+    }
+};
+
+// --- Zip ---
+// Minimal reader / writer for .apkg: stored or deflated entries, no zip64, no encryption
+const Zip = {
+    crcTable: null,
+    crc32(bytes) {
+        if (!this.crcTable) this.crcTable = Array.from({ length: 256 }, (_, n) => {
+            for (let k = 0; k < 8; k++) n = n & 1 ? 0xEDB88320 ^ (n >>> 1) : n >>> 1;
+            return n >>> 0;
+        });
+        let c = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) c = this.crcTable[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+        return (c ^ 0xFFFFFFFF) >>> 0;
+    },
+    async pipe(bytes, stream) {
+        return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+    },
+
+    // -> Map name -> Uint8Array
+    async read(buffer) {
+        const u8 = new Uint8Array(buffer), dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+        let eocd = u8.length - 22;
+        while (eocd >= 0 && dv.getUint32(eocd, true) !== 0x06054b50) eocd--;
+        if (eocd < 0) throw new Error("ZIP 形式のファイルではありません");
+        const files = new Map();
+        let p = dv.getUint32(eocd + 16, true);
+        for (let i = dv.getUint16(eocd + 10, true); i > 0; i--) {
+            if (dv.getUint32(p, true) !== 0x02014b50) throw new Error("ZIP の目次が壊れています");
+            const method = dv.getUint16(p + 10, true), size = dv.getUint32(p + 20, true), off = dv.getUint32(p + 42, true);
+            const nameLen = dv.getUint16(p + 28, true);
+            const name = new TextDecoder().decode(u8.subarray(p + 46, p + 46 + nameLen));
+            const start = off + 30 + dv.getUint16(off + 26, true) + dv.getUint16(off + 28, true);
+            const data = u8.subarray(start, start + size);
+            if (method !== 0 && method !== 8) throw new Error(`未対応の圧縮形式です (${name})`);
+            files.set(name, method === 8 ? await this.pipe(data, new DecompressionStream('deflate-raw')) : data);
+            p += 46 + nameLen + dv.getUint16(p + 30, true) + dv.getUint16(p + 32, true);
+        }
+        return files;
+    },
+
+    // files: [{ name, data: Uint8Array }] -> Blob
+    async write(files) {
+        const enc = new TextEncoder(), local = [], central = [];
+        let offset = 0;
+        for (const f of files) {
+            const name = enc.encode(f.name), crc = this.crc32(f.data);
+            const packed = await this.pipe(f.data, new CompressionStream('deflate-raw'));
+            const method = packed.length < f.data.length ? 8 : 0, body = method ? packed : f.data;
+            // Shared part of the local and central headers: version, UTF-8 flag, method, 1980-01-01, crc, sizes, name length
+            const common = dv => {
+                dv.setUint16(0, 20, true); dv.setUint16(2, 0x0800, true); dv.setUint16(4, method, true); dv.setUint16(8, 0x21, true);
+                dv.setUint32(10, crc, true); dv.setUint32(14, body.length, true); dv.setUint32(18, f.data.length, true); dv.setUint16(22, name.length, true);
+            };
+            const h = new DataView(new ArrayBuffer(30));
+            h.setUint32(0, 0x04034b50, true); common(new DataView(h.buffer, 4));
+            local.push(h, name, body);
+            const c = new DataView(new ArrayBuffer(46));
+            c.setUint32(0, 0x02014b50, true); c.setUint16(4, 20, true); common(new DataView(c.buffer, 6)); c.setUint32(42, offset, true);
+            central.push(c, name);
+            offset += 30 + name.length + body.length;
+        }
+        const e = new DataView(new ArrayBuffer(22));
+        e.setUint32(0, 0x06054b50, true); e.setUint16(8, files.length, true); e.setUint16(10, files.length, true);
+        e.setUint32(12, central.reduce((a, x) => a + x.byteLength, 0), true); e.setUint32(16, offset, true);
+        return new Blob([...local, ...central, e], { type: 'application/octet-stream' });
+    }
+};
+
+// --- Anki package (.apkg) ---
+// A zip of collection.anki2 (SQLite, Anki schema 11), a "media" JSON map { "0": "file.png" }
+// and the media files stored as "0", "1", ... SQLite runs on sql.js, loaded from the vendored copy
+// (vendor/sql.js, precached by sw.js) the first time a package is read or written.
+const SQLJS_URL = 'vendor/sql.js/'; // sql.js 1.10.3
+// Subresource integrity of the two files: a copy that does not match is refused
+const SQLJS_SRI = {
+    'sql-wasm.js': 'sha384-8D3Rsfo535FqoC1pHCCQMrNf75UgzyoG/HQm9zOzITRrz3QKzecc2E7JXKGCXoWu',
+    'sql-wasm.wasm': 'sha384-kSm0AH9ho89napVfNFf/kCRTH6xBoCS3qf/ATGJeYFQFKiegBMLhQ3aUIZBlYLpa'
+};
+const Apkg = {
+    SCHEMA: `
+        CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+        CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+        CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+        CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+        CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+        CREATE INDEX ix_notes_usn on notes (usn); CREATE INDEX ix_cards_usn on cards (usn); CREATE INDEX ix_revlog_usn on revlog (usn);
+        CREATE INDEX ix_cards_nid on cards (nid); CREATE INDEX ix_cards_sched on cards (did, queue, due);
+        CREATE INDEX ix_revlog_cid on revlog (cid); CREATE INDEX ix_notes_csum on notes (csum);`,
+    MIME: {
+        png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml',
+        mp3: 'audio/mpeg', ogg: 'audio/ogg', oga: 'audio/ogg', wav: 'audio/wav', m4a: 'audio/mp4', webm: 'audio/webm'
+    },
+    // Anki card type / revlog type <-> card state
+    TYPES: { new: 0, learning: 1, review: 2, relearning: 3 },
+    REVLOG_TYPES: { new: 0, learning: 0, review: 1, relearning: 2 },
+
+    sqlite() {
+        this._sql ??= new Promise((resolve, reject) => {
+            const init = () => fetch(SQLJS_URL + 'sql-wasm.wasm', { integrity: SQLJS_SRI['sql-wasm.wasm'] })
+                .then(r => r.arrayBuffer()).then(wasmBinary => initSqlJs({ wasmBinary })).then(resolve, reject);
+            if (typeof initSqlJs !== 'undefined') return init();
+            const s = document.createElement('script');
+            s.src = SQLJS_URL + 'sql-wasm.js';
+            s.integrity = SQLJS_SRI['sql-wasm.js'];
+            s.onload = init;
+            s.onerror = () => reject(new Error("sql.js を読み込めませんでした"));
+            document.head.appendChild(s);
+        }).catch(e => { this._sql = null; throw e; });
+        return this._sql;
+    },
+
+    stripHtml(html) { return html.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').trim(); },
+    // Anki's note checksum: first 8 hex digits of the SHA-1 of the stripped sort field
+    async checksum(text) {
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text)));
+        return parseInt([...hash.slice(0, 4)].map(b => b.toString(16).padStart(2, '0')).join(''), 16);
+    },
+
+    // Cards of the deck subtree (all decks when deckId is null) -> Blob
+    async export(deckId) {
+        const SQL = await this.sqlite();
+        const [allDecks, allCards, allLogs, presets] = await Promise.all([db.getAll('decks'), db.getAll('cards'), db.getAll('logs'), db.getAll('presets')]);
+        const ids = deckId ? Logic.subtreeIds(allDecks, deckId) : new Set(allDecks.map(d => d.id));
+        const decks = allDecks.filter(d => ids.has(d.id));
+        const cards = allCards.filter(c => ids.has(c.deckId));
+        const now = Date.now(), secs = Math.floor(now / 1000);
+        const crt = Math.floor(new Date().setHours(0, 0, 0, 0) / 1000);
+        const mid = now, base = now - cards.length - decks.length;
+
+        // Media: every distinct image once, inline images included
+        const mediaFiles = [], mediaMap = {}, mediaNames = new Map();
+        const media = async hash => {
+            if (!mediaNames.has(hash)) {
+                const rec = await db.get('media', hash);
+                if (!rec) return '';
+                const ext = Object.keys(this.MIME).find(k => this.MIME[k] === rec.type.split(';')[0]) || 'bin';
+                const name = `deepgalaxy-${mediaFiles.length + 1}.${ext}`;
+                mediaMap[mediaFiles.length] = name;
+                mediaFiles.push({ name: String(mediaFiles.length), data: new Uint8Array(await rec.blob.arrayBuffer()) });
+                mediaNames.set(hash, name);
+            }
+            return mediaNames.get(hash);
+        };
+        const field = async (text, image, audio) => {
+            let html = (text || '').replace(/\n/g, '<br>');
+            for (const [tag, hash] of html.matchAll(/<img data-media="(\w+)"[^>]*>/g)) html = html.replace(tag, `<img src="${await media(hash)}">`);
+            const name = Media.isRef(image) && await media(Media.hashOf(image));
+            const sound = Media.isRef(audio) && await media(Media.hashOf(audio));
+            return [html, name && `<img src="${name}">`].filter(Boolean).join('<br>') + (sound ? `[sound:${sound}]` : '');
+        };
+
+        const ankiDeck = (id, name) => ({
+            id, name, mod: secs, usn: 0, desc: '', dyn: 0, conf: 1, collapsed: false, browserCollapsed: false,
+            newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0], extendNew: 0, extendRev: 0
+        });
+        const deckJson = { 1: ankiDeck(1, 'Default') }, deckMap = {};
+        decks.forEach((d, i) => {
+            deckMap[d.id] = base + i;
+            deckJson[base + i] = { ...ankiDeck(base + i, Logic.deckPath(allDecks, d.id)), conf: d.presetId || 1 };
+        });
+        const dconf = {};
+        for (const p of presets.map(p => Logic.presetOptions(p))) dconf[p.id] = {
+            id: p.id, name: p.name, mod: secs, usn: 0, maxTaken: 60, timer: 0, autoplay: true, replayq: true, dyn: false,
+            new: { delays: p.learningSteps, ints: [1, 4, 0], initialFactor: Math.round(p.startingEase * 1000), perDay: p.newPerDay, order: 1, bury: false, separate: true },
+            lapse: { delays: p.relearningSteps, mult: p.lapseMult, minInt: 1, leechFails: p.leechThreshold, leechAction: p.leechAction === 'tag' ? 1 : 0 },
+            rev: { perDay: p.reviewsPerDay, ease4: 1.3, ivlFct: 1, maxIvl: p.maxInterval, fuzz: 0.05, minSpace: 1, bury: false, hardFactor: 1.2 }
+        };
+        const model = {
+            id: mid, name: 'DeepGalaxy', type: 0, mod: secs, usn: 0, sortf: 0, did: 1, tags: [], vers: [],
+            flds: ['Front', 'Back'].map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+            tmpls: [{ name: 'Card 1', ord: 0, qfmt: '{{Front}}', afmt: '{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}', did: null, bqfmt: '', bafmt: '' }],
+            css: '.card { font-family: arial; font-size: 20px; text-align: center; color: black; background-color: white; }',
+            latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+            latexPost: '\\end{document}', req: [[0, 'any', [0]]]
+        };
+        const conf = { nextPos: cards.length + 1, estTimes: true, activeDecks: [1], sortType: 'noteFld', timeLim: 0, sortBackwards: false, addToCur: true, curDeck: 1, newSpread: 0, dueCounts: true, curModel: mid, collapseTime: 1200 };
+
+        const sdb = new SQL.Database();
+        sdb.run(this.SCHEMA);
+        sdb.run('INSERT INTO col VALUES (1,?,?,?,11,0,0,0,?,?,?,?,?)', [crt, now, now, JSON.stringify(conf), JSON.stringify({ [mid]: model }), JSON.stringify(deckJson), JSON.stringify(dconf), '{}']);
+        const cardIds = new Map();
+        const revIds = new Set();
+        let pos = 0;
+        for (const [i, c] of cards.entries()) {
+            const id = base + decks.length + i, st = Logic.cardState(c);
+            cardIds.set(c.id, id);
+            const front = await field(c.frontText, c.frontImage, c.frontAudio), back = await field(c.backText, c.backImage, c.backAudio);
+            const sort = this.stripHtml(front);
+            const tags = (c.tags || []).length ? ` ${c.tags.join(' ')} ` : '';
+            sdb.run('INSERT INTO notes VALUES (?,?,?,?,0,?,?,?,?,0,\'\')', [id, c.uid || String(id), mid, secs, tags, front + '\x1f' + back, sort, await this.checksum(sort)]);
+            const next = c.nextReviewAt ? new Date(c.nextReviewAt).getTime() : now;
+            const learning = st === 'learning' || st === 'relearning';
+            const due = st === 'new' ? ++pos : learning ? Math.floor(next / 1000) : Math.round((next / 1000 - crt) / 86400);
+            const data = c.scheduler === 'fsrs' && c.S ? JSON.stringify({ s: c.S, d: c.D }) : '';
+            sdb.run('INSERT INTO cards VALUES (?,?,?,0,?,0,?,?,?,?,?,?,?,?,0,0,0,?)', [
+                id, id, deckMap[c.deckId], secs, this.TYPES[st], c.suspended ? -1 : this.TYPES[st] === 3 ? 1 : this.TYPES[st], due,
+                st === 'new' || st === 'learning' ? 0 : Math.max(1, c.I || 0), st === 'new' ? 0 : Math.round((c.EF || 2.5) * 1000),
+                c.n || 0, c.lapses || 0, learning ? 1001 : 0, data
+            ]);
+        }
+        for (const l of allLogs) {
+            const cid = cardIds.get(l.cardId); if (!cid) continue;
+            let id = new Date(l.reviewedAt).getTime();
+            while (revIds.has(id)) id++;
+            revIds.add(id);
+            // Negative intervals are learning steps in seconds
+            const ivl = x => l.scheduled === false ? -600 : Math.max(0, Math.round(x || 0));
+            sdb.run('INSERT INTO revlog VALUES (?,?,0,?,?,?,?,?,?)', [
+                id, cid, l.q < 3 ? 1 : l.q - 1, ivl(l.intervalAfter), ivl(l.intervalBefore), Math.round((l.EF || 2.5) * 1000), l.gradeMs || 0, this.REVLOG_TYPES[l.stateBefore] ?? 1
+            ]);
+        }
+        const collection = sdb.export();
+        sdb.close();
+        return Zip.write([
+            { name: 'collection.anki2', data: collection },
+            { name: 'media', data: new TextEncoder().encode(JSON.stringify(mediaMap)) },
+            ...mediaFiles
+        ]);
+    },
+
+    renderCard(note, model, ord) {
+        const values = note.flds.split('\x1f');
+        if (!model) return { front: values[0] || '', back: values.slice(1).join('<br>') };
+        const fields = {};
+        model.flds.forEach((f, i) => { fields[f.name] = values[i] || ''; });
+        const cloze = model.type === 1;
+        const tmpl = (cloze ? model.tmpls[0] : model.tmpls.find(t => t.ord === ord)) || model.tmpls[0];
+        const front = Notes.fillTemplate(tmpl.qfmt, fields, cloze && { ord: ord + 1, answer: false });
+        const back = Notes.fillTemplate(tmpl.afmt.replace(/\{\{FrontSide\}\}/g, ''), fields, cloze && { ord: ord + 1, answer: true })
+            .replace(/^(\s|<hr id=["']?answer["']?>|<br\s*\/?>)+/i, '');
+        return { front, back };
+    },
+    // First image becomes the card image, further images stay inline as media references;
+    // the first [sound:…] becomes the card audio
+    extractMedia(html, media) {
+        let audio = '';
+        let image = '';
+        const text = html.replace(/<img[^>]*?src=["']?([^"'>\s]+)["']?[^>]*>/gi, (tag, src) => {
+            const ref = media[decodeURIComponent(src)];
+            if (!ref) return tag;
+            if (!image) { image = ref; return ''; }
+            return `<img data-media="${Media.hashOf(ref)}">`;
+        }).replace(/\[sound:([^\]]+)\]/g, (_, name) => { audio ||= media[name] || ''; return ''; });
+        return { text: text.replace(/^(\s|<br\s*\/?>)+|(\s|<br\s*\/?>)+$/gi, ''), image, audio };
+    },
+    schedule(c, crt, last) {
+        const base = { I: Math.max(0, c.ivl), EF: c.factor ? c.factor / 1000 : 2.5, n: c.reps, lapses: c.lapses, lastReviewAt: last || null };
+        if (c.queue === -1) base.suspended = true;
+        const day = n => new Date((crt + n * 86400) * 1000).toISOString();
+        if (c.type === 0) return { ...base, I: 0, n: 0, state: 'new', step: 0, nextReviewAt: null };
+        if (c.type === 2) return { ...base, state: 'review', step: 0, nextReviewAt: day(c.due) };
+        // (Re)learning: due is a timestamp in seconds, or a day number for steps of a day or longer (queue 3;
+        // a suspended card has lost its queue, so small values are taken as day numbers)
+        const inDays = c.queue === 3 || (c.queue === -1 && c.due < 1e8);
+        return { ...base, state: c.type === 1 ? 'learning' : 'relearning', step: 0, nextReviewAt: inDays ? day(c.due) : new Date(c.due * 1000).toISOString() };
+    },
+
+    // -> { cards, logs, skipped }. Cards already imported (same note guid and template) are skipped.
+    async import(buffer) {
+        const files = await Zip.read(buffer);
+        const colFile = files.get('collection.anki21') || files.get('collection.anki2');
+        if (!colFile) throw new Error(files.has('collection.anki21b')
+            ? "新しい形式のパッケージです。Anki の書き出しで「古いバージョンの Anki との互換性をサポート」をオンにしてください。"
+            : "collection.anki2 が見つかりません");
+        const SQL = await this.sqlite();
+        const sdb = new SQL.Database(colFile);
+        const rows = sql => {
+            const r = sdb.exec(sql)[0];
+            return r ? r.values.map(v => Object.fromEntries(r.columns.map((c, i) => [c, v[i]]))) : [];
+        };
+        const [col] = rows('SELECT crt, models, decks FROM col');
+        const models = JSON.parse(col.models), ankiDecks = JSON.parse(col.decks);
+        // Media file name -> "media:<hash>"; files no card uses are dropped again by Media.recount
+        const media = {};
+        for (const [k, name] of Object.entries(JSON.parse(new TextDecoder().decode(files.get('media') || new Uint8Array([123, 125]))))) {
+            const type = this.MIME[name.split('.').pop().toLowerCase()];
+            if (files.has(k) && type) media[name] = await Media.put(new Blob([files.get(k)], { type }));
+        }
+        const notes = new Map(rows('SELECT id, guid, mid, tags, flds FROM notes').map(n => [n.id, n]));
+        const revlog = new Map();
+        for (const r of rows('SELECT id, cid, ease, ivl, lastIvl, factor, time, type FROM revlog ORDER BY id')) {
+            if (!revlog.has(r.cid)) revlog.set(r.cid, []);
+            revlog.get(r.cid).push(r);
+        }
+        const existing = new Set((await db.getAll('cards')).map(c => c.uid));
+        const decks = {}, migrate = [];
+        const res = { cards: 0, logs: 0, skipped: 0 };
+        const now = new Date().toISOString();
+        for (const c of rows('SELECT id, nid, did, ord, type, queue, due, ivl, factor, reps, lapses, data FROM cards ORDER BY id')) {
+            const note = notes.get(c.nid); if (!note) continue;
+            // Notes exported from DeepGalaxy carry the card uid as guid
+            const uid = c.ord === 0 && existing.has(note.guid) ? note.guid : `anki:${note.guid}:${c.ord}`;
+            if (existing.has(uid)) { res.skipped++; continue; }
+            const name = ankiDecks[c.did]?.name || 'Anki';
+            decks[name] ??= await db.get('decks', await Logic.ensureDeckPath(name.split('::').map(x => x.trim()).filter(Boolean)));
+            const deck = decks[name];
+            const { front, back } = this.renderCard(note, models[note.mid], c.ord);
+            const f = this.extractMedia(front, media), b = this.extractMedia(back, media);
+            const logs = (revlog.get(c.id) || []).filter(r => r.ease > 0 && r.type <= 3);
+            const last = logs.length ? new Date(logs[logs.length - 1].id).toISOString() : null;
+            const card = {
+                ...Logic.newCard(deck, {
+                    deckId: deck.id, frontText: f.text, frontImage: f.image, frontAudio: f.audio, backText: b.text, backImage: b.image, backAudio: b.audio,
+                    frontImgScale: 100, backImgScale: 100, layoutMode: 'vertical', tags: Logic.parseTags(note.tags), uid, updatedAt: now
+                }),
+                ...this.schedule(c, col.crt, last),
+                totalSuccesses: logs.filter(r => r.ease > 1).length
+            };
+            card.id = await db.add('cards', card);
+            res.cards++;
+            const states = ['learning', 'review', 'relearning', 'review'];
+            for (const r of logs) {
+                await db.add('logs', {
+                    cardId: card.id, reviewedAt: new Date(r.id).toISOString(), q: r.ease === 1 ? 1 : r.ease + 1,
+                    intervalBefore: Math.max(0, r.lastIvl), intervalAfter: Math.max(0, r.ivl), efBefore: card.EF, EF: r.factor ? r.factor / 1000 : card.EF,
+                    scheduler: 'sm2', stateBefore: states[r.type], scheduled: r.ivl > 0, gradeMs: Math.min(r.time, MAX_ANSWER_MS), uid: `anki-rev:${r.id}`
+                });
+                res.logs++;
+            }
+            if (deck.scheduler === 'fsrs') {
+                // Anki's own FSRS memory state when it has one, otherwise rebuilt from the history
+                const mem = (() => { try { return JSON.parse(c.data || '{}'); } catch { return {}; } })();
+                if (mem.s) await db.put('cards', { ...card, S: mem.s, D: mem.d });
+                else migrate.push(card);
+            }
+        }
+        sdb.close();
+        if (migrate.length) {
+            const { forgetRate } = await Logic.getUserStats();
+            for (const c of migrate) {
+                const opts = await Logic.getDeckOptions(c.deckId);
+                await db.put('cards', { ...Logic.replayLogs(c, await db.getLogsByCard(c.id), 'fsrs', forgetRate, opts.maxInterval), I: c.I, state: c.state, nextReviewAt: c.nextReviewAt });
+            }
+        }
+        return res;
+    }
+};
+
+// --- Parameter Optimizer ---
+// Fits DEFAULT_PARAMS to the local review log by replaying every card's history:
+// scheduler params minimize the log loss of the predicted retrievability against the
+// actual outcome (q >= 3), priority weights minimize the log loss of the priority score
+// against lapses. Pure coordinate search, runs in the page without any network access.
+const Optimizer = {
+    GRIDS: {
+        forgetHigh: [0.2, 0.25, 0.3, 0.35, 0.4, 0.45, 0.5, 0.6],
+        forgetLow: [0.05, 0.075, 0.1, 0.125, 0.15, 0.175, 0.2, 0.25],
+        eMultHigh: [0.7, 0.75, 0.8, 0.85, 0.9, 0.95, 1.0],
+        eMultLow: [1.0, 1.05, 1.1, 1.15, 1.2, 1.25, 1.3],
+        retentionLow: [10, 20, 30, 40, 50, 60],
+        retentionHigh: [50, 60, 70, 80, 90, 100],
+        rMultLow: [0.6, 0.7, 0.8, 0.9, 1.0],
+        rMultHigh: [1.0, 1.1, 1.2, 1.3, 1.4, 1.5]
+    },
+    WEIGHTS: ['wRisk', 'wScore', 'wEase', 'wOverdue'],
+    FSRS_STEPS: [0.6, 0.8, 0.9, 1.1, 1.25, 1.5],
+    MIN_REVIEWS: 30,
+
+    // Group logs per card with the rolling 30-day forget rate at the time of each review
+    prepare(logs, cards) {
+        const sorted = logs.filter(l => l.scheduled !== false).sort((a, b) => a.reviewedAt.localeCompare(b.reviewedAt));
+        const schedOf = {}; cards.forEach(c => { schedOf[c.id] = c.scheduler || 'sm2'; });
+        const byCard = {};
+        let lo = 0, fails = 0;
+        sorted.forEach((l, i) => {
+            const t = new Date(l.reviewedAt).getTime();
+            while (t - new Date(sorted[lo].reviewedAt).getTime() > 30 * 864e5) { if (sorted[lo].q < 3) fails--; lo++; }
+            const fr = i > lo ? fails / (i - lo) : 0;
+            if (l.q < 3) fails++;
+            (byCard[l.cardId] = byCard[l.cardId] || []).push({ t, q: l.q, fr });
+        });
+        const groups = { sm2: [], fsrs: [] };
+        Object.keys(byCard).forEach(id => groups[schedOf[id] || 'sm2'].push(byCard[id]));
+        return groups;
+    },
+
+    // Replay histories with params P; collect (predicted R, priority features, outcome) per review
+    replay(histories, sched, P) {
+        const out = [];
+        for (const h of histories) {
+            let c = { ...sched.initial(), scheduler: sched.id, totalSuccesses: 0, lastReviewAt: null, nextReviewAt: null };
+            for (const r of h) {
+                const now = new Date(r.t);
+                if (c.lastReviewAt) {
+                    const p = sched.retrievability(c, (r.t - new Date(c.lastReviewAt).getTime()) / 864e5);
+                    let x = null;
+                    // Cards with n = 0 get the fixed priority 100 and carry no weight information
+                    if (c.n > 0) {
+                        const cs = Logic.calculateCardStats(c, r.fr, now, P);
+                        const overdue = Math.max((r.t - new Date(c.nextReviewAt).getTime()) / 864e5, 0);
+                        x = [cs.forgetRisk, 1 - cs.retentionScore / 100, 1 / c.EF, Math.log10(1 + overdue)];
+                    }
+                    out.push({ p, ok: r.q >= 3, x });
+                }
+                c = { ...c, ...sched.review(c, r.q, { now, forgetRate: r.fr, params: P }) };
+                c.lastReviewAt = now.toISOString();
+                c.nextReviewAt = new Date(r.t + c.I * 864e5).toISOString();
+                if (r.q >= 3) c.totalSuccesses++;
+            }
+        }
+        return out;
     },
-    getAll(s) { return new Promise(r => { const req = this._tx(s, 'readonly').getAll(); req.onsuccess = () => r(req.result); }); },
-    get(s, k) { return new Promise(r => { const req = this._tx(s, 'readonly').get(k); req.onsuccess = () => r(req.result); }); },
-    add(s, v) { return new Promise(r => { const req = this._tx(s, 'readwrite').add(v); req.onsuccess = () => r(req.result); }); },
-    put(s, v) { return new Promise(r => { const req = this._tx(s, 'readwrite').put(v); req.onsuccess = () => r(req.result); }); },
-    del(s, k) { return new Promise(r => { const req = this._tx(s, 'readwrite').delete(k); req.onsuccess = () => r(); }); },
-    getCardsByDeck(deckId) {
-        return new Promise(r => {
-            const idx = this._tx('cards', 'readonly').index('deckId');
-            const req = idx.getAll(IDBKeyRange.only(Number(deckId)));
-            req.onsuccess = () => r(req.result);
+
+    logLoss(pairs) {
+        if (!pairs.length) return 0;
+        let s = 0;
+        for (const [p, y] of pairs) { const q = Math.min(Math.max(p, 0.001), 0.999); s -= y ? Math.log(q) : Math.log(1 - q); }
+        return s / pairs.length;
+    },
+    retentionLoss(samples) { return this.logLoss(samples.map(s => [s.p, s.ok])); },
+    priorityLoss(samples, P) {
+        const w = this.WEIGHTS.map(k => P[k]);
+        return this.logLoss(samples.filter(s => s.x).map(s => [s.x.reduce((a, v, i) => a + v * w[i], 0), !s.ok]));
+    },
+
+    // Predicted vs actual retention, overall and in 10 buckets of predicted R
+    calibration(samples) {
+        const bins = Array.from({ length: 10 }, () => ({ n: 0, pred: 0, actual: 0 }));
+        let pred = 0, actual = 0;
+        samples.forEach(s => {
+            const b = bins[Math.min(Math.floor(s.p * 10), 9)];
+            b.n++; b.pred += s.p; b.actual += s.ok ? 1 : 0;
+            pred += s.p; actual += s.ok ? 1 : 0;
         });
+        const n = samples.length;
+        return {
+            n, pred: n ? pred / n : 0, actual: n ? actual / n : 0,
+            bins: bins.map((b, i) => ({ range: `${i * 10}-${i * 10 + 10}%`, n: b.n, pred: b.n ? b.pred / b.n : 0, actual: b.n ? b.actual / b.n : 0 }))
+        };
+    },
+
+    async run(onProgress = () => { }) {
+        const [logs, cards] = await Promise.all([db.getAll('logs'), db.getAll('cards')]);
+        const groups = this.prepare(logs, cards);
+        const current = Logic.params();
+        const fitted = JSON.parse(JSON.stringify(current));
+        const yieldUI = () => new Promise(r => setTimeout(r));
+        const evalGroup = (id, P) => this.retentionLoss(this.replay(groups[id], Schedulers[id], P));
+        const evaluated = () => [...this.replay(groups.sm2, Schedulers.sm2, fitted), ...this.replay(groups.fsrs, Schedulers.fsrs, fitted)];
+        const baseline = [...this.replay(groups.sm2, Schedulers.sm2, current), ...this.replay(groups.fsrs, Schedulers.fsrs, current)];
+        if (baseline.length < this.MIN_REVIEWS) throw new Error(`評価できる復習記録が不足しています（${baseline.length} / ${this.MIN_REVIEWS}件）`);
+
+        const keys = Object.keys(this.GRIDS);
+        const total = 2 * (keys.length + (groups.fsrs.length ? fitted.fsrsW.length : 0)) + 1;
+        let step = 0;
+        const tick = async () => { onProgress(++step / total); await yieldUI(); };
+
+        for (let pass = 0; pass < 2; pass++) {
+            if (groups.sm2.length) {
+                for (const k of keys) {
+                    let best = fitted[k], bestLoss = evalGroup('sm2', fitted);
+                    for (const v of this.GRIDS[k]) {
+                        const cand = { ...fitted, [k]: v };
+                        if (cand.forgetLow >= cand.forgetHigh || cand.retentionLow >= cand.retentionHigh) continue;
+                        const loss = evalGroup('sm2', cand);
+                        if (loss < bestLoss - 1e-9) { best = v; bestLoss = loss; }
+                    }
+                    fitted[k] = best;
+                    await tick();
+                }
+            } else step += keys.length;
+            if (groups.fsrs.length) {
+                for (let i = 0; i < fitted.fsrsW.length; i++) {
+                    const base = fitted.fsrsW[i];
+                    let best = base, bestLoss = evalGroup('fsrs', fitted);
+                    for (const m of this.FSRS_STEPS) {
+                        const w = [...fitted.fsrsW]; w[i] = +(base * m).toFixed(4);
+                        const loss = evalGroup('fsrs', { ...fitted, fsrsW: w });
+                        if (loss < bestLoss - 1e-9) { best = w[i]; bestLoss = loss; }
+                    }
+                    fitted.fsrsW[i] = best;
+                    await tick();
+                }
+            }
+        }
+
+        // Priority weights only depend on the replayed features, so fit them on one replay
+        const samples = evaluated();
+        for (let pass = 0; pass < 2; pass++) {
+            for (const k of this.WEIGHTS) {
+                let best = fitted[k], bestLoss = this.priorityLoss(samples, fitted);
+                for (let v = 0; v <= 1.0001; v += 0.05) {
+                    const loss = this.priorityLoss(samples, { ...fitted, [k]: +v.toFixed(2) });
+                    if (loss < bestLoss - 1e-9) { best = +v.toFixed(2); bestLoss = loss; }
+                }
+                fitted[k] = best;
+            }
+        }
+        await tick();
+
+        return {
+            current, fitted,
+            before: { ...this.calibration(baseline), loss: this.retentionLoss(baseline), priorityLoss: this.priorityLoss(baseline, current) },
+            after: { ...this.calibration(samples), loss: this.retentionLoss(samples), priorityLoss: this.priorityLoss(samples, fitted) }
+        };
     }
 };
 
-// --- SM-2 Algorithm ---
-const Logic = {
-    now() { return new Date(); },
+// --- Statistics ---
+// Everything on the statistics page is derived from the logs and cards stores. A review passes
+// with q >= 3 as on the dashboard; "true retention" only counts reviews of cards in review state
+// (logs older than stateBefore count as reviews), so learning steps do not inflate it.
+const Stats = {
+    AGES: [[7, '1週間未満'], [30, '1か月未満'], [90, '3か月未満'], [365, '1年未満'], [Infinity, '1年以上']],
+    INTERVALS: [[2, '1日'], [4, '2-3日'], [8, '〜1週'], [15, '〜2週'], [31, '〜1か月'], [91, '〜3か月'], [181, '〜半年'], [366, '〜1年'], [Infinity, '1年超']],
+    EASES: [1.5, 1.7, 1.9, 2.1, 2.3, 2.5, 2.7, 2.9, Infinity],
+    LEECHES: 20,
 
-    calculateSM2(card, q) {
-        let { n, I, EF } = card;
-        let nextN, nextI, nextEF;
-        if (q < 3) { nextN = 0; nextI = 1; }
-        else {
-            nextN = n + 1;
-            if (nextN === 1) nextI = 1;
-            else if (nextN === 2) nextI = 6;
-            else nextI = Math.round(I * EF);
-        }
-        const delta = 5 - q;
-        nextEF = EF + (0.1 - delta * (0.08 + delta * 0.02));
-        if (nextEF < 1.3) nextEF = 1.3;
-        return { n: nextN, I: nextI, EF: nextEF };
-    },
+    isReview(l) { return !l.stateBefore || l.stateBefore === 'review'; },
+    passed(l) { return l.q >= 3; },
+    rate(ls) { return ls.length ? ls.filter(this.passed).length / ls.length : null; },
+    // Mean of a log field over the logs that have it (answer times are only recorded since they were added)
+    mean(ls, key) { const v = ls.map(l => l[key]).filter(x => x != null); return v.length ? v.reduce((a, b) => a + b, 0) / v.length : null; },
+    // Index of the first bucket whose (exclusive) upper bound is above v
+    bucket(bounds, v) { return bounds.findIndex(b => v < (Array.isArray(b) ? b[0] : b)); },
 
-    async getUserStats() {
-        const cutoff = new Date();
-        cutoff.setDate(cutoff.getDate() - 30);
-        const iso = cutoff.toISOString();
-        return new Promise(r => {
-            const tx = db.instance.transaction('logs', 'readonly');
-            const idx = tx.objectStore('logs').index('reviewedAt');
-            const req = idx.getAll(IDBKeyRange.lowerBound(iso));
-            req.onsuccess = () => {
-                const res = req.result;
-                if (!res || !res.length) { r({ forgetRate: 0, total: 0 }); return; }
-                r({ forgetRate: res.filter(l => l.q < 3).length / res.length, total: res.length });
-            };
-            req.onerror = () => r({ forgetRate: 0, total: 0 });
+    // filter: { deckId ('' = all, subdecks included), days (0 = all time) }
+    compute({ logs, cards, decks }, { deckId, days }) {
+        const today = new Date(); today.setHours(0, 0, 0, 0);
+        const dayOf = iso => { const d = new Date(iso); d.setHours(0, 0, 0, 0); return Math.round((d - today) / 864e5); };
+        const ids = deckId ? Logic.subtreeIds(decks, Number(deckId)) : null;
+        const byId = new Map(cards.map(c => [c.id, c]));
+        const fcards = ids ? cards.filter(c => ids.has(c.deckId)) : cards;
+        const deckLogs = (ids ? logs.filter(l => ids.has(byId.get(l.cardId)?.deckId)) : logs)
+            .sort((a, b) => a.reviewedAt.localeCompare(b.reviewedAt));
+        const first = {}; deckLogs.forEach(l => { first[l.cardId] ??= l.reviewedAt; });
+        const flogs = days ? deckLogs.filter(l => dayOf(l.reviewedAt) > -days) : deckLogs;
+        const reviews = flogs.filter(l => this.isReview(l));
+
+        // Reviews per day from the start of the range (or the first review) up to today
+        const start = days ? 1 - days : Math.min(0, ...flogs.slice(0, 1).map(l => dayOf(l.reviewedAt)));
+        const perDay = new Array(1 - start).fill(0);
+        flogs.forEach(l => { const i = dayOf(l.reviewedAt) - start; if (i < perDay.length) perDay[i]++; });
+        const from = new Date(today); from.setDate(from.getDate() + start);
+
+        // Streaks count days with at least one review; today not studied yet does not break one
+        const studied = new Set(deckLogs.map(l => dayOf(l.reviewedAt)));
+        let current = 0, longest = 0, run = 0, prev = null;
+        for (let d = studied.has(0) ? 0 : -1; studied.has(d); d--) current++;
+        [...studied].sort((a, b) => a - b).forEach(d => { run = prev === d - 1 ? run + 1 : 1; longest = Math.max(longest, run); prev = d; });
+
+        const group = (items, key, n) => { const g = Array.from({ length: n }, () => []); items.forEach(x => { const k = key(x); if (k >= 0) g[k].push(x); }); return g; };
+        const byAge = group(reviews, l => this.bucket(this.AGES, (new Date(l.reviewedAt) - new Date(first[l.cardId])) / 864e5), this.AGES.length);
+        const byHour = group(flogs, l => new Date(l.reviewedAt).getHours(), 24);
+        const deckRows = decks.filter(d => !ids || ids.has(d.id)).map(d => {
+            const ls = reviews.filter(l => byId.get(l.cardId)?.deckId === d.id);
+            return { name: Logic.deckPath(decks, d.id), n: ls.length, rate: this.rate(ls), ms: this.mean(flogs.filter(l => byId.get(l.cardId)?.deckId === d.id), 'gradeMs') };
+        }).filter(r => r.n).sort((a, b) => b.n - a.n);
+
+        const reviewCards = fcards.filter(c => Logic.cardState(c) === 'review');
+        const intervals = new Array(this.INTERVALS.length).fill(0);
+        reviewCards.forEach(c => { intervals[this.bucket(this.INTERVALS, c.I || 0)]++; });
+        const eases = new Array(this.EASES.length).fill(0);
+        reviewCards.filter(c => c.scheduler !== 'fsrs').forEach(c => { eases[this.bucket(this.EASES, c.EF ?? 2.5)]++; });
+
+        const lapses = Logic.countLapses(flogs);
+        const leeches = Object.entries(lapses).filter(([id]) => byId.has(Number(id)))
+            .map(([id, n]) => ({ card: byId.get(Number(id)), lapses: n })).sort((a, b) => b.lapses - a.lapses).slice(0, this.LEECHES);
+
+        return {
+            total: flogs.length, studyDays: perDay.filter(n => n).length, perDay, from,
+            retention: this.rate(reviews), reviewCount: reviews.length, streak: { current, longest },
+            gradeMs: this.mean(flogs, 'gradeMs'), flipMs: this.mean(flogs, 'flipMs'), totalMs: flogs.reduce((a, l) => a + (l.gradeMs || 0), 0),
+            byAge: byAge.map((ls, i) => ({ label: this.AGES[i][1], n: ls.length, rate: this.rate(ls) })),
+            byHour: byHour.map(ls => ({ n: ls.length, rate: this.rate(ls) })),
+            byDeck: deckRows, intervals, eases, leeches
+        };
+    }
+};
+
+// --- Charts (inline SVG, no library) ---
+const Charts = {
+    // Vertical bar chart; labels[i] is shown under every `labelEvery`-th bar
+    bar(values, { labels = [], labelEvery = 1, height = 160, color = 'var(--pri)' } = {}) {
+        const W = 600, H = height, pad = 20, max = Math.max(1, ...values);
+        const bw = (W - pad) / Math.max(values.length, 1);
+        const bars = values.map((v, i) => {
+            const h = v / max * (H - pad * 2);
+            return html`<rect x="${pad + i * bw + 1}" y="${H - pad - h}" width="${Math.max(bw - 2, 1)}" height="${h}" rx="2" fill="${color}"><title>${labels[i] ?? i}: ${v}</title></rect>`;
         });
+        const ticks = labels.map((l, i) => i % labelEvery ? '' : html`<text x="${pad + i * bw + bw / 2}" y="${H - 4}" text-anchor="middle">${l}</text>`);
+        return html`<svg class="chart" viewBox="0 0 ${W} ${H}">
+            <text x="0" y="${pad - 6}">${max}</text>
+            <line x1="${pad}" y1="${H - pad}" x2="${W}" y2="${H - pad}" stroke="var(--brd)"/>
+            ${bars}${ticks}
+        </svg>`;
     },
 
-    calculateCardStats(card, userForgetRate) {
-        if (card.n === 0) return { retention: 0, forgetRisk: 1.0, priorityScore: 100 };
-        const now = new Date();
-        const lastReview = card.lastReviewAt ? new Date(card.lastReviewAt) : now;
-        const t = (now - lastReview) / 864e5;
-        const S = Math.max(card.I * card.EF, 0.1);
-        const ret = Math.exp(-t / S);
-        const risk = 1 - ret;
-        const rScore = Math.min(100, Math.log2(1 + (card.totalSuccesses || card.n)) * card.EF * 10);
-        let overdue = 0;
-        if (card.nextReviewAt) { const d = new Date(card.nextReviewAt); if (now > d) overdue = (now - d) / 864e5; }
-        const ps = risk * 0.5 + ((1 - rScore / 100) * 0.3) + (1.0 / card.EF) * 0.1 + Math.log10(1 + overdue) * 0.1;
-        return { retentionProbability: ret, forgetRisk: risk, retentionScore: rScore, priorityScore: ps };
+    // Calendar heatmap, one column per week (Sunday on top); counts[i] belongs to the day from + i
+    heatmap(counts, from) {
+        const C = 12, step = 14, lead = from.getDay(), max = Math.max(1, ...counts);
+        const W = Math.ceil((lead + counts.length) / 7) * step, H = 7 * step + 14;
+        const day = i => { const d = new Date(from); d.setDate(d.getDate() + i); return d; };
+        const cells = counts.map((n, i) => {
+            const k = lead + i;
+            return html`<rect x="${Math.floor(k / 7) * step}" y="${k % 7 * step}" width="${C}" height="${C}" rx="2" fill="${n ? 'var(--pri)' : 'var(--sfc-h)'}" fill-opacity="${n ? (0.3 + 0.7 * n / max).toFixed(2) : 1}"><title>${day(i).toLocaleDateString()}: ${n}回</title></rect>`;
+        });
+        const months = counts.map((_, i) => day(i)).map((d, i) => d.getDate() === 1 || i === 0 ? html`<text x="${Math.floor((lead + i) / 7) * step}" y="${H - 2}">${d.getMonth() + 1}月</text>` : '');
+        return html`<svg class="chart" viewBox="0 0 ${W} ${H}" style="max-width:${W * 2}px">${cells}${months}</svg>`;
     },
 
-    async getDueCards() {
-        const allCards = await db.getAll('cards');
-        const now = new Date();
-        const { forgetRate } = await this.getUserStats();
-        const withP = allCards.map(c => ({ ...c, ...this.calculateCardStats(c, forgetRate) }));
-        const due = withP.filter(c => !c.nextReviewAt || new Date(c.nextReviewAt) <= now || c.priorityScore >= 0.6);
-        due.sort((a, b) => b.priorityScore - a.priorityScore);
-        return due;
+    // Line chart with dots; values are plotted evenly spaced
+    line(values, { labels = [], height = 140, color = 'var(--acc)' } = {}) {
+        const W = 600, H = height, pad = 20, max = Math.max(1, ...values);
+        const step = (W - pad * 2) / Math.max(values.length - 1, 1);
+        const pts = values.map((v, i) => [pad + i * step, H - pad - v / max * (H - pad * 2)]);
+        return html`<svg class="chart" viewBox="0 0 ${W} ${H}">
+            <text x="0" y="${pad - 6}">${max}</text>
+            <line x1="${pad}" y1="${H - pad}" x2="${W}" y2="${H - pad}" stroke="var(--brd)"/>
+            <polyline points="${pts.map(p => p.join(',')).join(' ')}" fill="none" stroke="${color}" stroke-width="2"/>
+            ${pts.map((p, i) => html`<circle cx="${p[0]}" cy="${p[1]}" r="3" fill="${color}"><title>${labels[i] ?? i}: ${values[i]}</title></circle>`)}
+        </svg>`;
     }
 };
 
@@ -127,104 +2417,154 @@ const Logic = {
 function openImageModal(src) {
     const overlay = document.createElement('div');
     overlay.className = 'img-modal-overlay';
-    overlay.onclick = () => overlay.remove();
+    overlay.onclick = () => Shortcuts.closeOverlay();
     const img = document.createElement('img');
     img.src = src;
     const closeBtn = document.createElement('button');
     closeBtn.className = 'img-modal-close';
     closeBtn.innerHTML = '✕';
-    closeBtn.onclick = e => { e.stopPropagation(); overlay.remove(); };
+    closeBtn.onclick = e => { e.stopPropagation(); Shortcuts.closeOverlay(); };
+    closeBtn.setAttribute('aria-label', '閉じる');
     overlay.appendChild(img);
     overlay.appendChild(closeBtn);
     document.body.appendChild(overlay);
+    Shortcuts.focusOverlay(closeBtn);
 }
 
+// --- Icons ---
+// Lucide (vendor/lucide) turns <i data-lucide="name"> into SVG. Should the library be missing the
+// app still runs: icons fall back to a plain mark and buttons keep their labels and titles.
+const Icons = {
+    refresh() {
+        if (typeof lucide !== 'undefined') {
+            try { lucide.createIcons(); return; } catch { /* fall back below */ }
+        }
+        document.documentElement.classList.add('no-icons');
+    }
+};
+
 // --- UI ---
 const UI = {
     app: document.getElementById('app'),
-    render(t) { this.app.innerHTML = t; lucide.createIcons(); },
+    // Focus goes to the view's [data-autofocus] field, if any (otherwise the page, so shortcuts work)
+    render(t) {
+        this.app.innerHTML = t; Icons.refresh(); Media.hydrate(this.app);
+        this.app.querySelector('[data-autofocus]')?.focus({ preventScroll: true });
+    },
 
     // Dashboard
     async renderDashboard() {
         const stats = await Logic.getUserStats();
-        const [logs, cards, dueCards, decks] = await Promise.all([
-            db.getAll('logs'), db.getAll('cards'), Logic.getDueCards(), db.getAll('decks')
+        const [logs, session, decks] = await Promise.all([
+            db.getAll('logs'), Logic.buildSession(), db.getAll('decks')
         ]);
+        const dueCount = session.queue.length + session.learning.length;
         const now = new Date();
         const t7 = now.getTime() - 7 * 864e5;
         const l7 = logs.filter(l => new Date(l.reviewedAt).getTime() > t7);
         const rate7d = l7.length ? Math.round(l7.filter(l => l.q >= 3).length / l7.length * 100) : 0;
 
-        const deckOpts = decks.map(d => `<option value="${d.id}" ${state.studyDeckFilter == d.id ? 'selected' : ''}>${d.name}</option>`).join('');
+        const deckOpts = Logic.deckTree(decks).map(({ deck: d }) => html`<option value="${d.id}" ${state.studyDeckFilter == d.id ? 'selected' : ''}>${Logic.deckPath(decks, d.id)}</option>`);
 
-        this.render(`
+        this.render(html`
         <div class="container animate-fade-in">
             <header class="flex justify-between items-center" style="margin-bottom:2rem">
                 <h1>DeepGalaxy</h1>
-                <button class="btn btn-secondary" onclick="App.navigateTo('settings')" style="min-height:48px"><i data-lucide="settings"></i> データ管理</button>
+                <div class="flex gap-2">
+                    <button class="btn btn-secondary" ${on('click', 'navigateTo', 'browser')} style="min-height:48px"><i data-lucide="search"></i> カード検索</button>
+                    <button class="btn btn-secondary" ${on('click', 'navigateTo', 'settings')} style="min-height:48px"><i data-lucide="settings"></i> データ管理</button>
+                </div>
             </header>
             <div style="margin-bottom:2rem">
-                <button class="btn btn-primary" onclick="App.navigateTo('deckList')" style="width:100%;font-size:1.2rem;padding:1.25rem 2rem;min-height:56px">
+                <button class="btn btn-primary" ${on('click', 'navigateTo', 'deckList')} style="width:100%;font-size:1.2rem;padding:1.25rem 2rem;min-height:56px">
                     <i data-lucide="layers"></i> 単語帳管理
                 </button>
             </div>
             <div class="stats-grid">
                 <div class="stat-card">
                     <h3>今日の復習</h3>
-                    <div class="stat-value">${dueCards.length}</div>
-                    <button class="btn btn-secondary" style="margin-top:.5rem;font-size:.9rem" onclick="App.showDueList()"><i data-lucide="list"></i> 一覧を見る</button>
+                    <div class="stat-value">${dueCount}</div>
+                    <small>復習 ${session.counts.review} | 新規 ${session.counts.new} | 学習中 ${session.counts.learning}</small><br>
+                    <button class="btn btn-secondary" style="margin-top:.5rem;font-size:.9rem" ${on('click', 'showDueList')}><i data-lucide="list"></i> 一覧を見る</button>
+                    <button class="btn btn-secondary" style="margin-top:.5rem;font-size:.9rem" ${on('click', 'navigateTo', 'forecast')}><i data-lucide="calendar-days"></i> 予測</button>
+                    <button class="btn btn-secondary" style="margin-top:.5rem;font-size:.9rem" ${on('click', 'navigateTo', 'stats')}><i data-lucide="bar-chart-3"></i> 統計</button>
                 </div>
-                <div class="stat-card"><h3>定着率 (7日)</h3><div class="stat-value">${rate7d}%</div><small>忘却率: ${(stats.forgetRate * 100).toFixed(1)}%</small></div>
+                <div class="stat-card"><h3>定着率 (7日)</h3><div class="stat-value">${rate7d}%</div><small>忘却率: ${(stats.forgetRate * 100).toFixed(1)}% | 目標: ${Math.round(Logic.targetRetention() * 100)}%</small></div>
             </div>
             <div class="card" style="text-align:center;padding:3rem 2rem">
                 <h2>学習を始めましょう</h2>
-                <p style="color:var(--txt2);margin:1rem 0">今日優先すべきカードは ${dueCards.length} 枚です。</p>
+                <p style="color:var(--txt2);margin:1rem 0">今日優先すべきカードは ${dueCount} 枚です。</p>
                 <div style="margin:1rem 0">
                     <label style="color:var(--txt2);font-size:.9rem">優先する単語帳：</label>
-                    <select id="deckFilter" onchange="App.setDeckFilter(this.value)" style="padding:.5rem;min-width:160px">
+                    <select id="deckFilter" ${on('change', 'setDeckFilter', '$value')} style="padding:.5rem;min-width:160px">
                         <option value="">自動（おまかせ）</option>
                         ${deckOpts}
                     </select>
                 </div>
-                <button class="btn btn-primary" style="font-size:1.25rem;padding:1rem 3rem" onclick="App.startSession()"><i data-lucide="play"></i> 学習開始</button>
+                <button class="btn btn-primary" style="font-size:1.25rem;padding:1rem 3rem" ${on('click', 'startSession')}><i data-lucide="play"></i> 学習開始</button>
+                <div style="margin-top:1rem"><button class="btn btn-secondary" ${on('click', 'navigateTo', 'customStudy')}><i data-lucide="sliders-horizontal"></i> カスタム学習</button></div>
             </div>
         </div>`);
     },
 
-    // Deck List (⑦ show card count)
+    // Deck List (⑦ show card count) — nested decks with rolled-up totals, drag to reparent
     async renderDeckList() {
-        const decks = await db.getAll('decks');
-        const allCards = await db.getAll('cards');
-        const countMap = {};
+        const [decks, allCards, presets, session] = await Promise.all([db.getAll('decks'), db.getAll('cards'), db.getAll('presets'), Logic.buildSession()]);
+        const presetName = {}; presets.forEach(p => { presetName[p.id] = p.name; });
+        const countMap = {}, dueMap = {};
         allCards.forEach(c => { countMap[c.deckId] = (countMap[c.deckId] || 0) + 1; });
+        [...session.queue, ...session.learning].forEach(c => { dueMap[c.deckId] = (dueMap[c.deckId] || 0) + 1; });
+        const totals = Logic.rollUp(decks, countMap), dues = Logic.rollUp(decks, dueMap);
+        const kids = Logic.deckChildren(decks);
+        const hidden = new Set();
+        const tree = Logic.deckTree(decks).filter(({ deck }) => {
+            if (hidden.has(deck.parentId)) { hidden.add(deck.id); return false; }
+            if (state.collapsedDecks.includes(deck.id)) hidden.add(deck.id);
+            return true;
+        });
 
-        const rows = decks.map(d => `
-        <div class="card flex justify-between items-center">
+        const rows = tree.map(({ deck: d, depth }) => html`
+        <div class="card flex justify-between items-center deck-row" style="margin-left:${depth * 1.5}rem" draggable="true"
+            ${on('dragstart', 'dragDeck', '$event', d.id)} ${on('dragover', 'dragOverDeck', '$event', '$el')}
+            ${on('dragleave', 'dragLeaveDeck', '$el')} ${on('drop', 'dropDeck', '$event', d.id)}>
             <div>
-                <h3>${d.name}（${countMap[d.id] || 0}枚）</h3>
-                <p style="color:var(--txt2)">作成日: ${new Date(d.createdAt).toLocaleDateString()}</p>
+                <h3>
+                    ${kids[d.id] ? html`<button class="deck-toggle" ${on('click', 'toggleDeck', d.id)}><i data-lucide="${state.collapsedDecks.includes(d.id) ? 'chevron-right' : 'chevron-down'}"></i></button>` : ''}
+                    ${d.name}（${totals[d.id] || 0}枚${kids[d.id] ? `, 直下 ${countMap[d.id] || 0}枚` : ''}）
+                </h3>
+                <p style="color:var(--txt2)">今日: ${dues[d.id] || 0}枚 | 作成日: ${new Date(d.createdAt).toLocaleDateString()} | ${(Schedulers[d.scheduler] || Schedulers.sm2).label} | ${presetName[d.presetId || 1] || ''}</p>
             </div>
             <div class="flex gap-2">
-                <button class="btn btn-secondary" onclick="App.editDeck(${d.id})"><i data-lucide="edit"></i> 編集</button>
-                <button class="btn btn-secondary" onclick="App.manageCards(${d.id})"><i data-lucide="list"></i> カード一覧</button>
-                <button class="btn btn-primary" onclick="App.createCard(${d.id})"><i data-lucide="plus"></i> カード追加</button>
-                <button class="btn btn-danger" onclick="App.deleteDeck(${d.id})"><i data-lucide="trash"></i></button>
+                <button class="btn btn-primary" ${on('click', 'startSession', d.id)} title="この単語帳（サブデッキを含む）を学習"><i data-lucide="play"></i></button>
+                <button class="btn btn-secondary" ${on('click', 'editDeck', d.id)}><i data-lucide="edit"></i> 編集</button>
+                <button class="btn btn-secondary" ${on('click', 'manageCards', d.id)}><i data-lucide="list"></i> カード一覧</button>
+                <button class="btn btn-primary" ${on('click', 'createCard', d.id)}><i data-lucide="plus"></i> カード追加</button>
+                <button class="btn btn-secondary" ${on('click', 'exportDeck', d.id)} title="サブデッキを含めて書き出す"><i data-lucide="download"></i></button>
+                <button class="btn btn-secondary" ${on('click', 'exportApkg', d.id)} title="Anki 形式 (.apkg) で書き出す"><i data-lucide="package"></i></button>
+                <button class="btn btn-danger" ${on('click', 'deleteDeck', d.id)}><i data-lucide="trash"></i></button>
             </div>
-        </div>`).join('');
+        </div>`);
 
-        this.render(`
+        this.render(html`
         <div class="container animate-fade-in">
             <header class="flex justify-between items-center" style="margin-bottom:2rem">
-                <button class="btn btn-secondary" onclick="App.navigateTo('dashboard')"><i data-lucide="arrow-left"></i> 戻る</button>
+                <button class="btn btn-secondary" ${on('click', 'navigateTo', 'dashboard')}><i data-lucide="arrow-left"></i> 戻る</button>
                 <h1>単語帳一覧</h1>
-                <button class="btn btn-primary" onclick="App.createDeck()"><i data-lucide="plus"></i> 新規作成</button>
+                <div class="flex gap-2">
+                    <button class="btn btn-secondary" ${on('click', 'navigateTo', 'noteTypes')}><i data-lucide="layout-template"></i> ノートタイプ</button>
+                    <button class="btn btn-secondary" ${on('click', 'navigateTo', 'import')}><i data-lucide="file-input"></i> インポート</button>
+                    <button class="btn btn-primary" ${on('click', 'createDeck')}><i data-lucide="plus"></i> 新規作成</button>
+                </div>
             </header>
-            <div class="flex flex-col gap-4">${rows || '<p style="text-align:center;color:var(--txt2)">単語帳がありません。</p>'}</div>
+            ${decks.length > 1 ? html`<div class="deck-root-drop" ${on('dragover', 'dragOverDeck', '$event', '$el')}
+                ${on('dragleave', 'dragLeaveDeck', '$el')} ${on('drop', 'dropDeck', '$event', null)}>ここにドロップするとトップレベルに移動します（「親::子」の名前でも作成できます）</div>` : ''}
+            <div class="flex flex-col gap-4">${rows.length ? rows : html`<p style="text-align:center;color:var(--txt2)">単語帳がありません。</p>`}</div>
         </div>`);
     },
 
     // Card Manager (sort + count + scroll restore + search)
     async renderCardManager(deckId) {
+        Router.set('cardManager', { deckId });
         state.activeDeckId = deckId;
         const deck = await db.get('decks', deckId);
         let cards = await db.getCardsByDeck(deckId);
@@ -237,42 +2577,47 @@ const UI = {
         });
 
         const rows = cards.map(c => {
-            const ft = c.frontText || '(画像)';
+            const ft = Markup.plain(c.frontText) || '(画像)';
             const bt = c.backText || '';
-            return `
+            return html`
         <div class="card card-list-item" data-front="${(c.frontText || '').toLowerCase()}" data-back="${(c.backText || '').toLowerCase()}">
             <div class="flex justify-between">
                 <div style="flex:1">
                     <strong>表:</strong> ${ft}<br>
-                    <small style="color:var(--txt2)">EF: ${c.EF.toFixed(2)} | 次回: ${c.nextReviewAt ? new Date(c.nextReviewAt).toLocaleDateString() : '未学習'}</small>
+                    ${(c.tags || []).length ? html`<div class="tag-list">${c.tags.map(t => html`<span class="tag">${t}</span>`)}</div>` : ''}
+                    <small style="color:var(--txt2)">${c.scheduler === 'fsrs' && c.S ? `D: ${c.D.toFixed(2)} | S: ${c.S.toFixed(1)}日` : `EF: ${c.EF.toFixed(2)}`} | ${Logic.stateLabel(c)} | 次回: ${c.nextReviewAt ? new Date(c.nextReviewAt).toLocaleDateString() : '未学習'}</small>
                 </div>
                 <div class="flex gap-2">
-                    <button class="btn btn-secondary" onclick="App.editCard(${c.id},${deckId})"><i data-lucide="edit"></i></button>
-                    <button class="btn btn-danger" onclick="App.deleteCard(${c.id},${deckId})"><i data-lucide="trash"></i></button>
+                    <button class="btn btn-secondary" ${on('click', 'editCard', c.id, deckId)}><i data-lucide="edit"></i></button>
+                    <button class="btn btn-danger" ${on('click', 'deleteCard', c.id, deckId)}><i data-lucide="trash"></i></button>
                 </div>
             </div>
         </div>`;
-        }).join('');
+        });
 
-        this.render(`
+        this.render(html`
         <div class="container animate-fade-in" id="cardListContainer">
             <header class="flex justify-between items-center" style="margin-bottom:2rem">
-                <button class="btn btn-secondary" onclick="App.navigateTo('deckList')"><i data-lucide="arrow-left"></i> 戻る</button>
+                <button class="btn btn-secondary" ${on('click', 'navigateTo', 'deckList')}><i data-lucide="arrow-left"></i> 戻る</button>
                 <h1>${deck.name}（${total}枚）</h1>
-                <button class="btn btn-primary" onclick="App.createCard(${deckId})"><i data-lucide="plus"></i> カード追加</button>
+                <div class="flex gap-2">
+                    <button class="btn btn-secondary" ${on('click', 'createNote', deckId)}><i data-lucide="file-plus"></i> ノート追加</button>
+                    <button class="btn btn-primary" ${on('click', 'createCard', deckId)}><i data-lucide="plus"></i> カード追加</button>
+                </div>
             </header>
             <div class="card-search-wrap">
                 <i data-lucide="search" class="search-icon" style="width:18px;height:18px"></i>
-                <input type="text" class="card-search-input" id="cardSearchInput" placeholder="カードを検索..." value="${state.cardSearchQuery}" oninput="App.filterCards(this.value)">
+                <input type="text" class="card-search-input" id="cardSearchInput" placeholder="カードを検索..." value="${state.cardSearchQuery}" ${on('input', 'filterCards', '$value')}>
             </div>
+            <div style="margin-bottom:1rem;text-align:right"><a href="#" ${on('click', 'browseDeck', deckId)} style="font-size:.85rem">すべての単語帳を詳細検索 →</a></div>
             <div style="margin-bottom:1rem;display:flex;justify-content:flex-end;align-items:center;gap:.5rem">
                 <span style="color:var(--txt2);font-size:.85rem">並び替え：</span>
                 <div class="sort-toggle">
-                    <button class="${state.cardSortOrder === 'desc' ? 'active' : ''}" onclick="App.setSortOrder('desc',${deckId})">新しい順</button>
-                    <button class="${state.cardSortOrder === 'asc' ? 'active' : ''}" onclick="App.setSortOrder('asc',${deckId})">古い順</button>
+                    <button class="${state.cardSortOrder === 'desc' ? 'active' : ''}" ${on('click', 'setSortOrder', 'desc', deckId)}>新しい順</button>
+                    <button class="${state.cardSortOrder === 'asc' ? 'active' : ''}" ${on('click', 'setSortOrder', 'asc', deckId)}>古い順</button>
                 </div>
             </div>
-            <div class="flex flex-col gap-4" id="cardListItems">${rows || '<p style="text-align:center;color:var(--txt2)">カードがありません。</p>'}</div>
+            <div class="flex flex-col gap-4" id="cardListItems">${rows.length ? rows : html`<p style="text-align:center;color:var(--txt2)">カードがありません。</p>`}</div>
         </div>`);
 
         // Apply search filter if active
@@ -299,6 +2644,7 @@ const UI = {
 
     // Study Card (text→image order, per-side imgScale, layout mode)
     renderStudyCard(card, total, current) {
+        Router.set('study');
         // Backward compat: convert old imgSize to scale
         const getScale = (side) => {
             const key = side + 'ImgScale';
@@ -316,138 +2662,660 @@ const UI = {
             if (!src) return '';
             const basePx = 400;
             const maxH = Math.round(basePx * scale / 100);
-            return `<div class="study-img-wrap">
-                <img src="${src}" alt="${alt}" class="study-img" style="max-height:${maxH}px">
-                <button class="img-zoom-btn" onclick="event.stopPropagation();openImageModal('${src}')" title="拡大表示">🔍</button>
+            return html`<div class="study-img-wrap">
+                ${Media.img(src, html`alt="${alt}" class="study-img" style="max-height:${maxH}px"`)}
+                <button class="img-zoom-btn" ${on('click', 'zoomImage', '$el')} title="拡大表示">🔍</button>
             </div>`;
         };
 
         // Build content based on layout
         const buildSide = (text, img, scale) => {
-            const txtHtml = text ? `<p>${text}</p>` : '';
+            const txtHtml = text ? html`<div class="card-text">${Markup.render(text)}</div>` : '';
             const imgHtml = mkImg(img, '', scale);
             if (layout === 'horizontal' && text && img) {
-                return `<div class="study-layout-h">
+                return html`<div class="study-layout-h">
                     <div>${txtHtml}</div>
                     <div>${imgHtml}</div>
                 </div>`;
             }
-            return txtHtml + imgHtml;
+            return html`${txtHtml}${imgHtml}`;
         };
 
         const front = buildSide(card.frontText, card.frontImage, fScale);
         const back = buildSide(card.backText, card.backImage, bScale);
+        const keys = Shortcuts.bindings(), key = a => Shortcuts.label(keys[a]);
+        const typing = state.studyDecks[card.deckId]?.typeAnswer, typed = state.typed;
+        const diffOps = typed?.ops.map(o => o.op === 'extra' ? html`<del class="diff-extra">${o.text}</del>` : o.op === 'missing' ? html`<ins class="diff-missing">${o.text}</ins>` : html`<span>${o.text}</span>`);
 
-        this.render(`
+        this.render(html`
         <div class="container animate-fade-in" style="min-height:100vh;display:flex;flex-direction:column">
             <div class="flex justify-between items-center">
-                <button class="btn btn-secondary" onclick="App.navigateTo('dashboard')">終了</button>
-                <span>カード ${current + 1} / ${total}</span>
+                <div class="flex gap-2">
+                    <button class="btn btn-secondary" ${on('click', 'navigateTo', 'dashboard')}>終了</button>
+                    ${state.undoStack.length ? html`<button class="btn btn-secondary" ${on('click', 'undoReview')} title="直前の評価を取り消す (${key('undo')})"><i data-lucide="undo-2"></i> 元に戻す (${state.undoStack.length})</button>` : ''}
+                    <button class="btn btn-secondary" id="replayBtn" style="display:none" ${on('click', 'playCardAudio', true)} title="音声をもう一度再生 (${key('replay')})" aria-label="音声をもう一度再生"><i data-lucide="volume-2"></i></button>
+                    <button class="btn btn-secondary" ${on('click', 'showShortcutHelp')} title="キーボードショートカット (${key('help')})" aria-label="キーボードショートカット"><i data-lucide="keyboard"></i></button>
+                </div>
+                <span>カード ${current + 1} / ${total}${state.session ? html`<br><small style="color:var(--txt2)">${state.session.label}${state.session.reschedule ? '' : '（スケジュールに影響しません）'}</small>` : ''}</span>
                 <span>スコア: ${Math.round(card.priorityScore * 100) || 0}</span>
             </div>
             <div class="study-container" style="flex:1;display:flex;flex-direction:column;justify-content:center">
-                <div class="flashcard" onclick="App.flipCard()">
+                <div class="flashcard" ${state.isShowingAnswer ? '' : html`role="button" tabindex="0" aria-label="解答を表示"`} ${on('click', 'flipCard')}>
                     <div class="flashcard-content">
                         <div style="color:var(--txt2);font-size:.9rem;margin-bottom:1rem">表（問題）</div>
                         ${front}
-                        ${state.isShowingAnswer ? `
+                        ${state.isShowingAnswer ? html`
                             <hr style="border:0;border-top:1px solid var(--brd);margin:2rem 0">
                             <div style="color:var(--txt2);font-size:.9rem;margin-bottom:1rem">裏（解答）</div>
                             <div class="animate-fade-in">${back}</div>
-                        ` : '<p style="margin-top:2rem;color:var(--txt2);font-size:.9rem">(タップして解答を表示)</p>'}
+                        ` : html`<p style="margin-top:2rem;color:var(--txt2);font-size:.9rem">(タップまたは <kbd>${key('flip')}</kbd> で解答を表示)</p>`}
                     </div>
                 </div>
-                ${state.isShowingAnswer ? `
-                <div style="margin-top:1rem;display:flex;gap:1rem;justify-content:center">
-                    <button class="btn btn-secondary" onclick="App.editCardFromStudy(${card.id},${card.deckId})"><i data-lucide="edit"></i> 編集</button>
-                    <button class="btn btn-danger" onclick="App.deleteCardFromStudy(${card.id})"><i data-lucide="trash"></i> 削除</button>
+                ${typing && !state.isShowingAnswer ? html`
+                <form class="type-answer" ${on('submit', 'checkTypedAnswer', '$el')}>
+                    <input name="typed" placeholder="答えを入力" aria-label="答えを入力" autocomplete="off" autocapitalize="off" spellcheck="false" data-autofocus>
+                    <button class="btn btn-primary">答え合わせ</button>
+                </form>` : ''}
+                ${typed && state.isShowingAnswer ? html`
+                <div class="type-answer-result animate-fade-in">
+                    <div class="diff" aria-label="入力と解答の比較">${typed.typed.trim() ? diffOps : html`<span style="color:var(--txt2)">（未入力）</span>`}</div>
+                    <div style="color:var(--txt2);font-size:.85rem;margin-top:.5rem">
+                        ${typed.exact ? '正解' : `一致率 ${Math.round(typed.ratio * 100)}%`} ・ 推奨: ${SHORTCUT_LABELS['grade' + typed.grade]}
+                        <span class="diff-legend"><del class="diff-extra">余分</del> <ins class="diff-missing">不足</ins></span>
+                    </div>
+                </div>` : ''}
+                ${state.isShowingAnswer ? html`
+                <div style="margin-top:1rem;display:flex;flex-wrap:wrap;gap:1rem;justify-content:center">
+                    <button class="btn btn-secondary" title="編集 (${key('edit')})" ${on('click', 'editCardFromStudy', card.id, card.deckId)}><i data-lucide="edit"></i> 編集</button>
+                    <button class="btn btn-secondary" title="今日はもう出題しない (${key('bury')})" ${on('click', 'buryCardFromStudy', card.id)}><i data-lucide="moon"></i> 明日まで保留</button>
+                    <button class="btn btn-secondary" title="再開するまで出題しない (${key('suspend')})" ${on('click', 'suspendCardFromStudy', card.id)}><i data-lucide="pause"></i> 中断</button>
+                    <button class="btn btn-danger" ${on('click', 'deleteCardFromStudy', card.id)}><i data-lucide="trash"></i> 削除</button>
                 </div>
                 <div class="action-bar animate-fade-in">
-                    <button class="grade-btn grade-1" onclick="App.submitReview(1)">再学習</button>
-                    <button class="grade-btn grade-2" onclick="App.submitReview(2)">難しい</button>
-                    <button class="grade-btn grade-3" onclick="App.submitReview(3)">普通</button>
-                    <button class="grade-btn grade-4" onclick="App.submitReview(4)">簡単</button>
+                    ${[1, 2, 3, 4].map(g => html`<button class="grade-btn grade-${g}${typed?.grade === g ? ' suggested' : ''}" ${typed?.grade === g ? 'data-autofocus' : ''} ${on('click', 'submitReview', g)}>${SHORTCUT_LABELS['grade' + g]} <kbd>${key('grade' + g)}</kbd></button>`)}
                 </div>` : ''}
             </div>
         </div>`);
     },
 
     renderEmptySession() {
-        this.render(`
+        Router.set('study');
+        this.render(html`
         <div class="container animate-fade-in" style="text-align:center;padding-top:4rem">
             <h1>セッション完了！ 🎉</h1>
-            <p>予定されていたカードの学習がすべて終わりました。</p>
-            <div style="margin-top:2rem"><button class="btn btn-primary" onclick="App.navigateTo('dashboard')">ダッシュボードへ戻る</button></div>
+            <p>${state.session ? `カスタム学習「${state.session.label}」のカードをすべて学習しました。` : '予定されていたカードの学習がすべて終わりました。'}</p>
+            <div style="margin-top:2rem" class="flex gap-2 justify-center">
+                ${state.undoStack.length ? html`<button class="btn btn-secondary" ${on('click', 'undoReview')} title="取り消す (${Shortcuts.label(Shortcuts.bindings().undo)})"><i data-lucide="undo-2"></i> 最後の評価を取り消す</button>` : ''}
+                <button class="btn btn-primary" ${on('click', 'navigateTo', 'dashboard')}>ダッシュボードへ戻る</button>
+            </div>
         </div>`);
     },
 
     // Settings
     renderSettings() {
-        this.render(`
+        const keys = Shortcuts.bindings();
+        this.render(html`
+        <div class="container animate-fade-in" style="max-width:800px">
+            <header class="flex justify-between items-center" style="margin-bottom:2rem">
+                <button class="btn btn-secondary" ${on('click', 'navigateTo', 'dashboard')}><i data-lucide="arrow-left"></i> 戻る</button>
+                <h1>データ管理</h1>
+                <div style="width:40px"></div>
+            </header>
+            <div class="card">
+                <h3><i data-lucide="save"></i> 手動バックアップ・復元</h3>
+                <p style="color:var(--txt2);margin:1rem 0">
+                    単語帳データをファイルとして保存します。<br>
+                    ファイル名は常に <strong>deepgalaxy_backup.json</strong> で固定です。<br>
+                    同じ名前で保存されます。Google Driveに置くと自動で上書きされます。<br>
+                    読み込むときは現在のデータと統合されます（新しい方の内容が残り、復習履歴は両方残ります）。
+                </p>
+                <div class="flex gap-4" style="flex-wrap:wrap">
+                    <button class="btn btn-primary" ${on('click', 'exportBackup')}><i data-lucide="download"></i> データを書き出す</button>
+                    <button class="btn btn-secondary" ${on('click', 'triggerImport')}><i data-lucide="upload"></i> データを読み込む</button>
+                    <input type="file" id="importFile" accept=".json" style="display:none" ${on('change', 'importBackup', '$el')}>
+                    <button class="btn btn-secondary" ${on('click', 'navigateTo', 'import')}><i data-lucide="file-input"></i> CSV・テキスト・Anki から追加</button>
+                    <button class="btn btn-secondary" ${on('click', 'exportApkg')}><i data-lucide="package"></i> Anki 形式で書き出す</button>
+                </div>
+            </div>
+            <div class="card">
+                <h3><i data-lucide="refresh-cw"></i> 端末間の同期</h3>
+                <p style="color:var(--txt2);margin:1rem 0">
+                    自分で用意した同期サーバー（同梱の sync/server.js など）を使って、端末ごとの変更だけを送受信します。<br>
+                    同じカードが両方の端末で変更された場合は、新しい方の内容が残ります。起動時にも自動で同期します。
+                </p>
+                <form ${on('submit', 'saveSyncSettings', '$el')}>
+                    <label>サーバーURL</label>
+                    <input type="url" name="syncUrl" value="${Settings.get('syncUrl', '')}" placeholder="http://localhost:8787" style="width:100%;margin-bottom:.75rem">
+                    <label>アクセストークン（任意）</label>
+                    <input type="password" name="syncToken" value="${Settings.get('syncToken', '')}" style="width:100%;margin-bottom:1rem">
+                    <div class="flex gap-4 items-center" style="flex-wrap:wrap">
+                        <button class="btn btn-secondary"><i data-lucide="save"></i> 保存</button>
+                        ${Sync.configured() ? html`<button type="button" class="btn btn-primary" ${on('click', 'syncNow')}><i data-lucide="refresh-cw"></i> 今すぐ同期</button>` : ''}
+                        ${Settings.get('syncLastAt') ? html`<small style="color:var(--txt2)">最終同期: ${new Date(Settings.get('syncLastAt')).toLocaleString()}</small>` : ''}
+                        ${Sync.lastError ? html`<small style="color:var(--err)">同期エラー（${new Date(Sync.lastError.at).toLocaleString()}）: ${Sync.lastError.message}</small>` : ''}
+                    </div>
+                </form>
+            </div>
+            <div class="card">
+                <h3><i data-lucide="cloud"></i> Google Drive 連携（手動）</h3>
+                <p style="color:var(--txt2);margin:1rem 0">
+                    上記でバックアップしたファイルをGoogle Drive経由で別端末と共有できます。<br>
+                    PC版Google Driveデスクトップアプリを使う場合：同期フォルダにバックアップファイルを保存するだけでOKです。
+                </p>
+                <a href="https://drive.google.com/" target="_blank" rel="noopener noreferrer" class="btn btn-secondary" style="text-decoration:none"><i data-lucide="external-link"></i> Google Drive を開く</a>
+            </div>
+            <div class="card">
+                <h3><i data-lucide="target"></i> 目標定着率</h3>
+                <p style="color:var(--txt2);margin:1rem 0">
+                    復習時に思い出せる確率の目標です。高くすると間隔が短くなり、復習量が増えます。<br>
+                    変更すると、復習済みのすべてのカードの次回予定日が再計算されます。
+                </p>
+                <label style="font-size:.9rem;color:var(--txt2)">目標: <strong id="targetRetentionLabel">${Math.round(Logic.targetRetention() * 100)}%</strong></label>
+                <input type="range" min="70" max="97" step="1" value="${Math.round(Logic.targetRetention() * 100)}" style="width:100%;min-height:44px;accent-color:var(--pri)"
+                    ${on('input', 'showPercent', '$el', 'targetRetentionLabel')} ${on('change', 'setTargetRetention', '$value')}>
+            </div>
+            <div class="card">
+                <h3><i data-lucide="timer"></i> 回答時間</h3>
+                <p style="color:var(--txt2);margin:1rem 0">
+                    カードを表示してから評価するまでの時間を記録し、統計に表示します。<br>
+                    秒数を指定すると、それより時間がかかった「普通」「簡単」は「難しい」としてスケジュールされます（0でオフ）。
+                </p>
+                <label style="font-size:.9rem;color:var(--txt2)">遅い回答とみなす秒数</label>
+                <input type="number" min="0" max="${MAX_ANSWER_MS / 1000}" step="1" value="${Settings.get('slowAnswerSec', 0)}" style="width:100%" ${on('change', 'setSlowAnswer', '$value')}>
+            </div>
+            <div class="card">
+                <h3><i data-lucide="keyboard"></i> キーボードショートカット</h3>
+                <p style="color:var(--txt2);margin:1rem 0">ボタンを押してから、割り当てるキーを押してください（Escで取り消し）。</p>
+                <table class="data-table">${Object.keys(DEFAULT_SHORTCUTS).map(a => html`
+                    <tr><td>${SHORTCUT_LABELS[a]}</td><td><button class="btn btn-secondary" ${on('click', 'recordShortcut', a, '$el')}><kbd>${Shortcuts.label(keys[a])}</kbd></button></td></tr>`)}
+                </table>
+                <div class="flex gap-2" style="margin-top:1rem">
+                    <button class="btn btn-secondary" ${on('click', 'showShortcutHelp')}><i data-lucide="list"></i> 一覧を表示</button>
+                    <button class="btn btn-secondary" ${on('click', 'resetShortcuts')}><i data-lucide="rotate-ccw"></i> 初期設定に戻す</button>
+                </div>
+            </div>
+            <div class="card">
+                <h3><i data-lucide="sliders-horizontal"></i> パラメータ最適化</h3>
+                <p style="color:var(--txt2);margin:1rem 0">
+                    復習履歴から、スケジューラの補正しきい値と優先度の重みを推定します。<br>
+                    計算はこの端末内だけで行われます。
+                </p>
+                <button class="btn btn-secondary" ${on('click', 'navigateTo', 'optimizer')}><i data-lucide="sliders-horizontal"></i> 最適化を開く</button>
+            </div>
+        </div>`);
+    },
+
+    // Workload forecast (30/90 days)
+    async renderForecast() {
+        const days = state.forecastDays;
+        const counts = await Logic.forecast(days);
+        const labels = counts.map((_, i) => { const d = new Date(); d.setDate(d.getDate() + i); return `${d.getMonth() + 1}/${d.getDate()}`; });
+        const total = counts.reduce((a, b) => a + b, 0);
+        this.render(html`
+        <div class="container animate-fade-in" style="max-width:900px">
+            <header class="flex justify-between items-center" style="margin-bottom:2rem">
+                <button class="btn btn-secondary" ${on('click', 'navigateTo', 'dashboard')}><i data-lucide="arrow-left"></i> 戻る</button>
+                <h1>復習予測</h1>
+                <div class="sort-toggle">
+                    <button class="${days === 30 ? 'active' : ''}" ${on('click', 'setForecastDays', 30)}>30日</button>
+                    <button class="${days === 90 ? 'active' : ''}" ${on('click', 'setForecastDays', 90)}>90日</button>
+                </div>
+            </header>
+            <div class="stats-grid">
+                <div class="stat-card"><h3>今日</h3><div class="stat-value">${counts[0]}</div><small>期限切れを含む</small></div>
+                <div class="stat-card"><h3>合計 (${days}日)</h3><div class="stat-value">${total}</div></div>
+                <div class="stat-card"><h3>1日平均</h3><div class="stat-value">${(total / days).toFixed(1)}</div><small>目標定着率 ${Math.round(Logic.targetRetention() * 100)}%</small></div>
+            </div>
+            <div class="card">
+                ${Charts.bar(counts, { labels, labelEvery: days > 30 ? 14 : 5 })}
+                <p style="color:var(--txt2);font-size:.85rem;margin-top:.5rem">すべて「普通」で答えた場合の予測です。未学習のカードは含みません。</p>
+            </div>
+        </div>`);
+    },
+
+    // Statistics from the review log, filtered by deck (with subdecks) and date range
+    async renderStats() {
+        const { deckId, days } = state.stats;
+        const [logs, cards, decks] = await Promise.all([db.getAll('logs'), db.getAll('cards'), db.getAll('decks')]);
+        const st = Stats.compute({ logs, cards, decks }, state.stats);
+        const pct = v => v == null ? '-' : Math.round(v * 100) + '%';
+        const deckOpts = Logic.deckTree(decks).map(({ deck: d }) => html`<option value="${d.id}" ${d.id === Number(deckId) ? 'selected' : ''}>${Logic.deckPath(decks, d.id)}</option>`);
+        const ranges = [[30, '30日'], [90, '90日'], [365, '1年'], [0, '全期間']].map(([v, label]) =>
+            html`<button class="${days === v ? 'active' : ''}" ${on('click', 'setStatsFilter', { days: v })}>${label}</button>`);
+        const sec = ms => ms == null ? '-' : (ms / 1000).toFixed(1) + '秒';
+        const ageRows = st.byAge.map(r => html`<tr><td>${r.label}</td><td>${r.n}</td><td>${pct(r.rate)}</td></tr>`);
+        const deckRows = st.byDeck.map(r => html`<tr><td>${r.name}</td><td>${r.n}</td><td>${pct(r.rate)}</td><td>${sec(r.ms)}</td></tr>`);
+        const hours = st.byHour.map(h => h.rate == null ? 0 : Math.round(h.rate * 100));
+        const leeches = st.leeches.map(({ card: c, lapses }) => html`
+            <tr>
+                <td><a href="#" ${on('click', 'editCard', c.id, c.deckId)}>${Markup.plain(c.frontText) || '(画像カード)'}</a></td>
+                <td>${Logic.deckPath(decks, c.deckId)}</td><td>${lapses}</td>
+            </tr>`);
+        this.render(html`
+        <div class="container animate-fade-in" style="max-width:900px">
+            <header class="flex justify-between items-center" style="margin-bottom:2rem">
+                <button class="btn btn-secondary" ${on('click', 'navigateTo', 'dashboard')}><i data-lucide="arrow-left"></i> 戻る</button>
+                <h1>統計</h1>
+                <div style="width:40px"></div>
+            </header>
+            <div class="flex gap-4 items-center" style="flex-wrap:wrap;margin-bottom:1.5rem">
+                <select ${on('change', 'setStatsDeck', '$value')} style="padding:.5rem;min-width:160px"><option value="">すべての単語帳</option>${deckOpts}</select>
+                <div class="sort-toggle">${ranges}</div>
+            </div>
+            <div class="stats-grid">
+                <div class="stat-card"><h3>復習回数</h3><div class="stat-value">${st.total}</div><small>学習した日 ${st.studyDays}日 | 1日平均 ${(st.total / Math.max(1, st.studyDays)).toFixed(1)}回</small></div>
+                <div class="stat-card"><h3>真の定着率</h3><div class="stat-value">${pct(st.retention)}</div><small>復習カード ${st.reviewCount}回の正答率</small></div>
+                <div class="stat-card"><h3>平均回答時間</h3><div class="stat-value">${sec(st.gradeMs)}</div><small>解答表示まで ${sec(st.flipMs)} | 合計 ${Math.round(st.totalMs / 60000)}分</small></div>
+                <div class="stat-card"><h3>連続学習</h3><div class="stat-value">${st.streak.current}日</div><small>最長 ${st.streak.longest}日</small></div>
+            </div>
+            <div class="card">
+                <h3>日ごとの復習回数</h3>
+                ${st.total ? Charts.heatmap(st.perDay, st.from) : html`<p style="color:var(--txt2);margin-top:.5rem">この期間の復習はありません。</p>`}
+            </div>
+            <div class="flex gap-4" style="flex-wrap:wrap">
+                <div class="card" style="flex:1;min-width:260px">
+                    <h3>カードの経過期間別の定着率</h3>
+                    <p style="color:var(--txt2);font-size:.85rem;margin-top:.5rem">初めて復習してからの日数です。</p>
+                    <table class="data-table"><tr><th>経過</th><th>復習</th><th>定着率</th></tr>${ageRows}</table>
+                </div>
+                <div class="card" style="flex:1;min-width:260px">
+                    <h3>単語帳別の定着率と回答時間</h3>
+                    <table class="data-table"><tr><th>単語帳</th><th>復習</th><th>定着率</th><th>平均時間</th></tr>${deckRows}</table>
+                </div>
+            </div>
+            <div class="flex gap-4" style="flex-wrap:wrap">
+                <div class="card" style="flex:1;min-width:260px">
+                    <h3>間隔の分布</h3>
+                    ${Charts.bar(st.intervals, { labels: Stats.INTERVALS.map(b => b[1]), labelEvery: 2 })}
+                </div>
+                <div class="card" style="flex:1;min-width:260px">
+                    <h3>EFの分布</h3>
+                    ${Charts.bar(st.eases, { labels: Stats.EASES.map((b, i) => i ? (Stats.EASES[i - 1]).toFixed(1) + '〜' : '〜' + b.toFixed(1)), labelEvery: 2, color: 'var(--acc)' })}
+                    <p style="color:var(--txt2);font-size:.85rem;margin-top:.5rem">SM-2 + 補正 の単語帳の復習カードのみです。</p>
+                </div>
+            </div>
+            <div class="card">
+                <h3>時間帯別の正答率</h3>
+                ${Charts.bar(hours, { labels: st.byHour.map((_, i) => `${i}時`), labelEvery: 3, color: 'var(--ok)' })}
+                <p style="color:var(--txt2);font-size:.85rem;margin-top:.5rem">学習中のカードも含むすべての評価の正答率（%）です。</p>
+            </div>
+            <div class="card">
+                <h3>よく忘れるカード</h3>
+                ${leeches.length ? html`
+                <table class="data-table"><tr><th>カード</th><th>単語帳</th><th>忘れた回数</th></tr>${leeches}</table>` : html`<p style="color:var(--txt2);margin-top:.5rem">復習で忘れたカードはありません。</p>`}
+            </div>
+        </div>`);
+    },
+
+    // Parameter optimizer (predicted vs actual retention, apply/revert)
+    renderOptimizer() {
+        const res = state.optimizeResult;
+        const cur = Logic.params();
+        const prev = Settings.get('paramsPrev', null);
+        const pct = v => (v * 100).toFixed(1) + '%';
+        const fmt = v => Array.isArray(v) ? v.map(x => +x.toFixed(3)).join(', ') : +(+v).toFixed(3);
+        const keys = Object.keys(DEFAULT_PARAMS);
+        const paramRows = keys.map(k => html`
+            <tr><td>${k}</td><td>${fmt(cur[k])}</td>${res ? html`<td>${fmt(res.fitted[k])}</td>` : ''}</tr>`);
+        const calibTable = (title, c) => html`
+            <div style="flex:1;min-width:260px">
+                <h4>${title}</h4>
+                <p style="color:var(--txt2);font-size:.9rem;margin:.5rem 0">予測 ${pct(c.pred)} / 実績 ${pct(c.actual)}（${c.n}件, log loss ${c.loss.toFixed(4)}）</p>
+                <table class="data-table">
+                    <tr><th>予測区間</th><th>件数</th><th>予測</th><th>実績</th></tr>
+                    ${c.bins.filter(b => b.n).map(b => html`<tr><td>${b.range}</td><td>${b.n}</td><td>${pct(b.pred)}</td><td>${pct(b.actual)}</td></tr>`)}
+                </table>
+            </div>`;
+
+        this.render(html`
+        <div class="container animate-fade-in" style="max-width:900px">
+            <header class="flex justify-between items-center" style="margin-bottom:2rem">
+                <button class="btn btn-secondary" ${on('click', 'navigateTo', 'settings')}><i data-lucide="arrow-left"></i> 戻る</button>
+                <h1>パラメータ最適化</h1>
+                <div style="width:40px"></div>
+            </header>
+            <div class="card">
+                <div class="flex gap-2" style="flex-wrap:wrap">
+                    <button class="btn btn-primary" id="optimizeBtn" ${on('click', 'runOptimizer')}><i data-lucide="play"></i> 最適化を実行</button>
+                    ${res ? html`<button class="btn btn-primary" ${on('click', 'applyParams')}><i data-lucide="check"></i> 最適化結果を適用</button>` : ''}
+                    ${prev ? html`<button class="btn btn-secondary" ${on('click', 'revertParams')}><i data-lucide="undo-2"></i> 前の設定に戻す</button>` : ''}
+                    <button class="btn btn-secondary" ${on('click', 'resetParams')}><i data-lucide="rotate-ccw"></i> 既定値に戻す</button>
+                </div>
+                <div class="progress" id="optimizeProgress" style="display:none;margin-top:1rem"><div class="progress-bar" style="width:0"></div></div>
+            </div>
+            ${res ? html`
+            <div class="card">
+                <h3>予測定着率と実績</h3>
+                <p style="color:var(--txt2);font-size:.9rem;margin:.5rem 0">優先度スコアの log loss: ${res.before.priorityLoss.toFixed(4)} → ${res.after.priorityLoss.toFixed(4)}</p>
+                <div class="flex gap-4" style="flex-wrap:wrap">
+                    ${calibTable('現在のパラメータ', res.before)}
+                    ${calibTable('最適化後', res.after)}
+                </div>
+            </div>` : ''}
+            <div class="card">
+                <h3>パラメータ</h3>
+                <table class="data-table">
+                    <tr><th>名前</th><th>現在</th>${res ? html`<th>最適化後</th>` : ''}</tr>
+                    ${paramRows}
+                </table>
+            </div>
+        </div>`);
+    },
+
+    // Due List
+    async renderDueList() {
+        const [session, decks] = await Promise.all([Logic.buildSession(state.studyDeckFilter), db.getAll('decks')]);
+        const dueCards = [...session.queue, ...session.learning];
+        const dm = {}; decks.forEach(d => dm[d.id] = Logic.deckPath(decks, d.id));
+        const rows = dueCards.map(c => html`
+        <div class="card flex justify-between items-center">
+            <div style="flex:1">
+                <span style="font-size:.8rem;color:var(--txt2)">${dm[c.deckId] || '?'}</span>
+                <div style="font-weight:bold;margin-top:.25rem">${Markup.plain(c.frontText) || '(画像カード)'}</div>
+                <small style="color:var(--txt2)">${CARD_STATES[Logic.cardState(c)]} | 次回: ${c.nextReviewAt ? new Date(c.nextReviewAt).toLocaleString() : '新規'}</small>
+            </div>
+        </div>`);
+
+        this.render(html`
+        <div class="container animate-fade-in">
+            <header class="flex justify-between items-center" style="margin-bottom:2rem">
+                <button class="btn btn-secondary" ${on('click', 'navigateTo', 'dashboard')}><i data-lucide="arrow-left"></i> 戻る</button>
+                <h1>今日の復習一覧 (${dueCards.length})</h1>
+                <div style="width:40px"></div>
+            </header>
+            <div style="margin-bottom:2rem;text-align:center"><button class="btn btn-primary" style="padding:1rem 3rem" ${on('click', 'startSession')}><i data-lucide="play"></i> 学習を開始する</button></div>
+            <div class="flex flex-col gap-4">${rows.length ? rows : html`<p style="text-align:center">復習が必要なカードはありません。</p>`}</div>
+        </div>`);
+    },
+
+    async renderBrowser() {
+        const [cards, decks] = await Promise.all([Query.search(state.browserQuery), db.getAll('decks')]);
+        const ids = new Set(cards.map(c => c.id));
+        state.browserSelection = state.browserSelection.filter(id => ids.has(id));
+        const sel = new Set(state.browserSelection);
+        const dm = {}; decks.forEach(d => dm[d.id] = Logic.deckPath(decks, d.id));
+        const deckOpts = Logic.deckTree(decks).map(({ deck: d }) => html`<option value="${d.id}">${dm[d.id]}</option>`);
+        const rows = cards.map(c => html`
+        <label class="card flex items-center gap-4 browser-row">
+            <input type="checkbox" ${sel.has(c.id) ? 'checked' : ''} ${on('change', 'toggleBrowserSelect', c.id, '$checked')}>
+            <div style="flex:1;min-width:0">
+                <span style="font-size:.8rem;color:var(--txt2)">${dm[c.deckId] || '?'}</span>
+                <div style="font-weight:bold;margin-top:.25rem">${Markup.plain(c.frontText) || '(画像カード)'}</div>
+                <div style="color:var(--txt2);font-size:.9rem">${Markup.plain(c.backText)}</div>
+                ${(c.tags || []).length ? html`<div class="tag-list">${c.tags.map(t => html`<span class="tag">${t}</span>`)}</div>` : ''}
+                <small style="color:var(--txt2)">${Logic.stateLabel(c)} | EF: ${c.EF.toFixed(2)} | 間隔: ${c.I}日 | 次回: ${c.nextReviewAt ? new Date(c.nextReviewAt).toLocaleDateString() : '新規'}</small>
+            </div>
+            <button class="btn btn-secondary" ${on('click', 'editCardFromBrowser', c.id, c.deckId)}><i data-lucide="edit"></i></button>
+        </label>`);
+
+        this.render(html`
+        <div class="container animate-fade-in">
+            <header class="flex justify-between items-center" style="margin-bottom:2rem">
+                <button class="btn btn-secondary" ${on('click', 'navigateTo', 'dashboard')}><i data-lucide="arrow-left"></i> 戻る</button>
+                <h1>カード検索</h1>
+                <div style="width:40px"></div>
+            </header>
+            <form class="flex gap-2" style="margin-bottom:.5rem" ${on('submit', 'searchBrowser', '$el')}>
+                <input type="text" name="q" class="card-search-input" value="${state.browserQuery}" placeholder='例: tag:verb is:due -deck:"TOEIC"' style="flex:1;padding-left:1rem">
+                <button class="btn btn-primary"><i data-lucide="search"></i> 検索</button>
+            </form>
+            <details style="margin-bottom:1.5rem;color:var(--txt2);font-size:.85rem">
+                <summary>検索構文</summary>
+                <ul style="margin:.5rem 0 0 1.25rem;line-height:1.8">
+                    <li><code>単語</code> <code>"複数 の 語"</code> 表・裏のどちらかに含む / <code>front:</code> <code>back:</code> 片面のみ</li>
+                    <li><code>tag:verb</code> <code>tag:ve*</code> <code>tag:none</code> タグ</li>
+                    <li><code>deck:"教科書::第1章"</code> 単語帳（サブデッキを含む）</li>
+                    <li><code>is:new</code> <code>is:learning</code> <code>is:review</code> <code>is:relearning</code> <code>is:due</code> 状態、<code>is:suspended</code> 中断中 <code>is:buried</code> 明日まで保留</li>
+                    <li><code>due:today</code> <code>due:7</code> 期日 / <code>added:7</code> 追加日 / <code>rated:7</code> 最終復習日（日数以内）</li>
+                    <li><code>ef&lt;1.8</code> <code>ivl&gt;=30</code> <code>reps=0</code> <code>lapses&gt;=4</code> 数値比較</li>
+                    <li>スペース区切りは AND、<code>OR</code> で OR、先頭の <code>-</code> で否定</li>
+                </ul>
+            </details>
+            <div class="card flex items-center gap-2 browser-actions" style="flex-wrap:wrap;margin-bottom:1.5rem">
+                <strong style="margin-right:auto">${cards.length}件中 ${sel.size}件を選択</strong>
+                <button class="btn btn-secondary" ${cards.length ? '' : 'disabled'} ${on('click', 'customStudyFromBrowser')}><i data-lucide="play"></i> この条件で学習</button>
+                <button class="btn btn-secondary" ${on('click', 'selectAllBrowser', sel.size < cards.length)}>${sel.size < cards.length ? 'すべて選択' : '選択解除'}</button>
+                <button class="btn btn-secondary" ${sel.size ? '' : 'disabled'} ${on('click', 'bulkTag', true)}><i data-lucide="tag"></i> タグ追加</button>
+                <button class="btn btn-secondary" ${sel.size ? '' : 'disabled'} ${on('click', 'bulkTag', false)}>タグ削除</button>
+                <select id="bulkMoveTarget" ${sel.size ? '' : 'disabled'}>${deckOpts}</select>
+                <button class="btn btn-secondary" ${sel.size ? '' : 'disabled'} ${on('click', 'bulkMove')}><i data-lucide="folder-input"></i> 移動</button>
+                <button class="btn btn-secondary" ${sel.size ? '' : 'disabled'} ${on('click', 'bulkSuspend', true)}><i data-lucide="pause"></i> 中断</button>
+                <button class="btn btn-secondary" ${sel.size ? '' : 'disabled'} ${on('click', 'bulkSuspend', false)}><i data-lucide="play-circle"></i> 再開</button>
+                <button class="btn btn-secondary" ${sel.size ? '' : 'disabled'} ${on('click', 'bulkReset')}><i data-lucide="rotate-ccw"></i> 学習状況をリセット</button>
+                <button class="btn btn-danger" ${sel.size ? '' : 'disabled'} ${on('click', 'bulkDelete')}><i data-lucide="trash-2"></i> 削除</button>
+            </div>
+            <div class="flex flex-col gap-4">${rows.length ? rows : html`<p style="text-align:center">該当するカードはありません。</p>`}</div>
+        </div>`);
+    },
+
+    async renderCustomStudy() {
+        const cs = state.customStudy;
+        const [decks, cards, all] = await Promise.all([db.getAll('decks'), Query.customSession(cs), db.getAll('cards')]);
+        const tags = [...new Set(all.flatMap(c => c.tags || []))].sort();
+        const deckOpts = Logic.deckTree(decks).map(({ deck: d }) => html`<option value="${d.id}" ${d.id === Number(cs.deckId) ? 'selected' : ''}>${Logic.deckPath(decks, d.id)}</option>`);
+        const orderOpts = Object.entries(CUSTOM_ORDERS).map(([k, v]) => html`<option value="${k}" ${k === cs.order ? 'selected' : ''}>${v}</option>`);
+        // pickTag presets are completed with one of the existing tags
+        const presets = CUSTOM_STUDY_PRESETS.map((p, i) => p.pickTag
+            ? html`<select ${on('change', 'applyCustomPreset', i, '$value')} ${tags.length ? '' : 'disabled'}><option value="">${p.label}${tags.length ? '（タグを選択）' : '（タグがありません）'}</option>${tags.map(t => html`<option value="${t}">${t}</option>`)}</select>`
+            : html`<button type="button" class="btn btn-secondary" ${on('click', 'applyCustomPreset', i)}>${p.label}</button>`);
+        this.render(html`
+        <div class="container animate-fade-in" style="max-width:700px">
+            <header class="flex justify-between items-center" style="margin-bottom:2rem">
+                <button class="btn btn-secondary" ${on('click', 'navigateTo', 'dashboard')}><i data-lucide="arrow-left"></i> 戻る</button>
+                <h1>カスタム学習</h1>
+                <div style="width:40px"></div>
+            </header>
+            <div class="card" style="margin-bottom:1rem">
+                <h3>よく使う条件</h3>
+                <div class="flex gap-2" style="flex-wrap:wrap;margin-top:.75rem">${presets}</div>
+            </div>
+            <form class="card" ${on('change', 'updateCustomStudy', '$el')} ${on('submit', 'startCustomSession', '$el')}>
+                <div style="margin-bottom:1rem">
+                    <label>単語帳</label>
+                    <select name="deckId" style="width:100%"><option value="">すべての単語帳</option>${deckOpts}</select>
+                </div>
+                <div style="margin-bottom:1rem">
+                    <label>検索条件</label>
+                    <input type="text" name="query" value="${cs.query}" placeholder="例: tag:verb failed:7" style="width:100%">
+                    <p style="color:var(--txt2);font-size:.85rem;margin-top:.5rem">カード検索と同じ構文です。空欄ならすべてのカードが対象です。</p>
+                </div>
+                <div class="flex gap-4" style="margin-bottom:1rem">
+                    <div style="flex:1"><label>並び順</label><select name="order" style="width:100%">${orderOpts}</select></div>
+                    <div style="flex:1"><label>最大枚数</label><input type="number" name="limit" min="1" max="9999" value="${cs.limit}" style="width:100%"></div>
+                </div>
+                <label class="flex items-center gap-2" style="margin-bottom:.5rem">
+                    <input type="checkbox" name="reschedule" ${cs.reschedule ? 'checked' : ''}> 評価を通常のスケジュールに反映する
+                </label>
+                <p style="color:var(--txt2);font-size:.85rem;margin-bottom:1.5rem">オフにすると、カードの間隔や期日・復習履歴は一切変わりません（試験前の詰め込み向け）。間違えたカードはセッションの最後にもう一度出題されます。</p>
+                <button class="btn btn-primary" style="width:100%" ${cards.length ? '' : 'disabled'}><i data-lucide="play"></i> ${cards.length}枚で学習開始</button>
+            </form>
+        </div>`);
+    },
+
+    renderMergeBackup() {
+        const { fileName, exportedAt, plan } = state.backupMerge;
+        const total = k => Object.values(plan.summary).reduce((a, x) => a + x[k], 0);
+        const rows = Object.entries(Backup.STORES).map(([s, label]) => {
+            const x = plan.summary[s];
+            return html`<tr><td>${label}</td><td>${x.added}</td><td>${x.updated}</td><td>${x.conflicts}</td><td>${x.deleted}</td></tr>`;
+        });
+        if (plan.media.length) rows.push(html`<tr><td>画像</td><td>${plan.media.length}</td><td>-</td><td>-</td><td>-</td></tr>`);
+        const conflicts = plan.conflicts.slice(0, 30).map(c => html`<li>${Backup.STORES[c.store]}: ${c.label} <small style="color:var(--txt2)">（${c.why}）</small></li>`);
+        const changes = total('added') + total('updated') + total('deleted') + plan.media.length;
+        this.render(html`
         <div class="container animate-fade-in" style="max-width:800px">
             <header class="flex justify-between items-center" style="margin-bottom:2rem">
-                <button class="btn btn-secondary" onclick="App.navigateTo('dashboard')"><i data-lucide="arrow-left"></i> 戻る</button>
-                <h1>データ管理</h1>
+                <button class="btn btn-secondary" ${on('click', 'navigateTo', 'settings')}><i data-lucide="arrow-left"></i> 戻る</button>
+                <h1>バックアップの統合</h1>
                 <div style="width:40px"></div>
             </header>
             <div class="card">
-                <h3><i data-lucide="save"></i> 手動バックアップ・復元</h3>
-                <p style="color:var(--txt2);margin:1rem 0">
-                    単語帳データをファイルとして保存します。<br>
-                    ファイル名は常に <strong>deepgalaxy_backup.json</strong> で固定です。<br>
-                    同じ名前で保存されます。Google Driveに置くと自動で上書きされます。
-                </p>
-                <div class="flex gap-4" style="flex-wrap:wrap">
-                    <button class="btn btn-primary" onclick="App.exportBackup()"><i data-lucide="download"></i> データを書き出す</button>
-                    <button class="btn btn-secondary" onclick="App.triggerImport()"><i data-lucide="upload"></i> データを読み込む</button>
-                    <input type="file" id="importFile" accept=".json" style="display:none" onchange="App.importBackup(this)">
-                </div>
+                <h3>${fileName}</h3>
+                <p style="color:var(--txt2);margin:.5rem 0 1rem">${exportedAt ? html`書き出し日時: ${new Date(exportedAt).toLocaleString()}<br>` : ''}まだ何も変更されていません。内容を確認してから統合してください。</p>
+                <table class="data-table">
+                    <tr><th></th><th>追加</th><th>更新</th><th>競合</th><th>削除</th></tr>
+                    ${rows}
+                </table>
+                <p style="color:var(--txt2);font-size:.85rem;margin-top:1rem">競合は両方の端末で変更されていたもので、この端末の内容がそのまま残ります。</p>
+                ${conflicts.length ? html`<details style="margin-top:1rem"><summary>競合の一覧 (${plan.conflicts.length})</summary><ul style="margin:.5rem 0 0 1.25rem">${conflicts}</ul></details>` : ''}
             </div>
-            <div class="card">
-                <h3><i data-lucide="cloud"></i> Google Drive 連携（手動）</h3>
-                <p style="color:var(--txt2);margin:1rem 0">
-                    上記でバックアップしたファイルをGoogle Drive経由で別端末と共有できます。<br>
-                    PC版Google Driveデスクトップアプリを使う場合：同期フォルダにバックアップファイルを保存するだけでOKです。
-                </p>
-                <a href="https://drive.google.com/" target="_blank" rel="noopener noreferrer" class="btn btn-secondary" style="text-decoration:none"><i data-lucide="external-link"></i> Google Drive を開く</a>
+            <div class="flex gap-4">
+                <button class="btn btn-secondary" ${on('click', 'navigateTo', 'settings')}>キャンセル</button>
+                <button class="btn btn-primary" style="flex:1" ${changes ? '' : 'disabled'} ${on('click', 'applyBackupMerge')}><i data-lucide="git-merge"></i> ${changes ? '統合する' : '変更はありません'}</button>
             </div>
         </div>`);
     },
 
-    // Due List
-    async renderDueList() {
-        const [dueCards, decks] = await Promise.all([Logic.getDueCards(), db.getAll('decks')]);
-        const dm = {}; decks.forEach(d => dm[d.id] = d.name);
-        const rows = dueCards.map(c => `
-        <div class="card flex justify-between items-center">
-            <div style="flex:1">
-                <span style="font-size:.8rem;color:var(--txt2)">${dm[c.deckId] || '?'}</span>
-                <div style="font-weight:bold;margin-top:.25rem">${c.frontText || '(画像カード)'}</div>
-                <small style="color:var(--txt2)">次回: ${c.nextReviewAt ? new Date(c.nextReviewAt).toLocaleDateString() : '新規'}</small>
-            </div>
-        </div>`).join('');
-
-        this.render(`
-        <div class="container animate-fade-in">
+    // Text import wizard
+    async renderImport() {
+        const job = state.importJob;
+        const header = html`
             <header class="flex justify-between items-center" style="margin-bottom:2rem">
-                <button class="btn btn-secondary" onclick="App.navigateTo('dashboard')"><i data-lucide="arrow-left"></i> 戻る</button>
-                <h1>今日の復習一覧 (${dueCards.length})</h1>
+                <button class="btn btn-secondary" ${on('click', 'navigateTo', 'deckList')}><i data-lucide="arrow-left"></i> 戻る</button>
+                <h1>インポート</h1>
                 <div style="width:40px"></div>
-            </header>
-            <div style="margin-bottom:2rem;text-align:center"><button class="btn btn-primary" style="padding:1rem 3rem" onclick="App.startSession()"><i data-lucide="play"></i> 学習を開始する</button></div>
-            <div class="flex flex-col gap-4">${rows || '<p style="text-align:center">復習が必要なカードはありません。</p>'}</div>
+            </header>`;
+        if (!job) {
+            this.render(html`
+            <div class="container animate-fade-in" style="max-width:800px">${header}
+                <div class="card">
+                    <h3><i data-lucide="file-input"></i> ファイルを選択</h3>
+                    <p style="color:var(--txt2);margin:1rem 0">CSV・TSV・「表<タブ>裏」形式のテキスト、Anki の「プレーンテキストとして書き出し」とパッケージ (.apkg) に対応しています。<br>既存のデータはそのまま残り、カードが追加されます。.apkg は画像と復習履歴も取り込み、学習状況を引き継ぎます。</p>
+                    <input type="file" accept=".csv,.tsv,.txt,.apkg,text/plain,text/csv" ${on('change', 'loadImportFile', '$el')}>
+                </div>
+            </div>`);
+            return;
+        }
+        const decks = await db.getAll('decks');
+        let a;
+        try { a = Importer.analyze(job); } catch (e) { a = { rows: [], header: null, columns: 0, mapping: [], deck: '', tags: [], error: e.message }; }
+        job.mapping = a.mapping;
+        const opts = (obj, cur) => Object.entries(obj).map(([k, v]) => html`<option value="${k}" ${k === cur ? 'selected' : ''}>${v}</option>`);
+        const deckOpts = Logic.deckTree(decks).map(({ deck: d }) => html`<option value="${d.id}" ${d.id === Number(job.deckId) ? 'selected' : ''}>${Logic.deckPath(decks, d.id)}</option>`);
+        const cut = v => (v || '').length > 40 ? v.slice(0, 40) + '…' : (v || '');
+        const cols = Array.from({ length: a.columns }, (_, i) => i);
+        const table = html`
+            <div style="overflow-x:auto">
+            <table class="data-table">
+                <tr>${cols.map(i => html`<th><select name="map${i}">${opts(Importer.FIELDS, a.mapping[i])}</select>${a.header ? html`<br><small>${cut(a.header[i])}</small>` : ''}</th>`)}</tr>
+                ${a.rows.slice(0, 10).map(r => html`<tr>${cols.map(i => html`<td>${cut(r[i])}</td>`)}</tr>`)}
+            </table>
+            </div>`;
+        this.render(html`
+        <div class="container animate-fade-in" style="max-width:1000px">${header}
+            <form ${on('change', 'updateImport', '$el')} ${on('submit', 'runImport', '$el')}>
+                <div class="card" style="margin-bottom:1rem">
+                    <h3>${job.fileName}</h3>
+                    <div class="flex gap-4" style="flex-wrap:wrap;margin-top:1rem">
+                        <div><label>文字コード</label><br><select name="encoding">${opts(Importer.ENCODINGS, job.encoding)}</select></div>
+                        <div><label>区切り文字</label><br><select name="delimiter">${opts(Importer.DELIMITERS, job.delimiter)}</select></div>
+                        <label class="flex items-center gap-2" style="align-self:flex-end"><input type="checkbox" name="hasHeader" ${job.hasHeader ? 'checked' : ''}> 1行目は見出し</label>
+                    </div>
+                    ${a.error ? html`<p style="color:var(--err);margin-top:1rem">読み込めませんでした: ${a.error}</p>` : ''}
+                    ${a.deck || a.tags.length ? html`<p style="color:var(--txt2);font-size:.85rem;margin-top:1rem">Anki のヘッダー: ${a.deck ? `単語帳「${a.deck}」` : ''} ${a.tags.length ? `タグ ${a.tags.join(' ')}` : ''}</p>` : ''}
+                </div>
+                <div class="card" style="margin-bottom:1rem">
+                    <h3>プレビュー（${a.rows.length}行中 先頭${Math.min(10, a.rows.length)}行）</h3>
+                    <p style="color:var(--txt2);font-size:.85rem;margin:.5rem 0">各列の上で、表・裏・タグ・単語帳のどれに使うかを選んでください。単語帳の列は「親::子」の形式で、無い単語帳は自動で作成されます。</p>
+                    ${table}
+                </div>
+                <div class="card" style="margin-bottom:1rem">
+                    <div class="flex gap-4" style="flex-wrap:wrap">
+                        <div style="flex:1;min-width:200px"><label>追加先の単語帳</label><br>
+                            <select name="deckId" style="width:100%"><option value="">新しい単語帳を作成</option>${deckOpts}</select></div>
+                        <div style="flex:1;min-width:200px"><label>重複するカード</label><br>
+                            <select name="dupMode" style="width:100%">${opts(Importer.DUP_MODES, job.dupMode)}</select></div>
+                    </div>
+                    <p style="color:var(--txt2);font-size:.85rem;margin-top:.5rem">重複は追加先の単語帳で、表または裏が同じカードを探して判定します（カード追加時と同じ基準）。</p>
+                </div>
+                <div class="flex gap-4">
+                    <button type="button" class="btn btn-secondary" ${on('click', 'resetImport')}>別のファイルを選ぶ</button>
+                    <button class="btn btn-primary" style="flex:1" ${a.rows.length && a.mapping.includes('front') ? '' : 'disabled'}><i data-lucide="upload"></i> ${a.rows.length}行をインポート</button>
+                </div>
+            </form>
         </div>`);
     },
 
     // Forms
-    renderDeckForm(deck = null) {
-        this.render(`
+    // draft carries unsaved form values when the form is re-rendered for another preset
+    async renderDeckForm(deck = null, draft = {}) {
+        Router.set(deck ? 'deckEdit' : 'deckNew', { deckId: deck?.id });
+        const [presets, decks] = await Promise.all([db.getAll('presets'), db.getAll('decks')]);
+        const d = { name: '', scheduler: 'sm2', presetId: 1, parentId: null, ...deck, ...draft };
+        const own = deck ? Logic.subtreeIds(decks, deck.id) : new Set();
+        const parentOpts = Logic.deckTree(decks).filter(({ deck: x }) => !own.has(x.id))
+            .map(({ deck: x }) => html`<option value="${x.id}" ${x.id === Number(d.parentId) ? 'selected' : ''}>${Logic.deckPath(decks, x.id)}</option>`);
+        const preset = Logic.presetOptions(presets.find(p => p.id === Number(d.presetId)) || presets[0]);
+        const usedBy = decks.filter(x => (x.presetId || 1) === preset.id).length;
+        const schedOpts = Object.values(Schedulers).map(sc => html`<option value="${sc.id}" ${sc.id === d.scheduler ? 'selected' : ''}>${sc.label}</option>`);
+        const ttsOpts = Object.entries(TTS_LANGS).map(([v, label]) => html`<option value="${v}" ${v === (d.ttsLang || '') ? 'selected' : ''}>${label}</option>`);
+        const ttsSideOpts = Object.entries(TTS_SIDES).map(([v, label]) => html`<option value="${v}" ${v === (d.ttsSide || 'front') ? 'selected' : ''}>${label}</option>`);
+        const presetOpts = presets.map(p => html`<option value="${p.id}" ${p.id === preset.id ? 'selected' : ''}>${p.name}</option>`);
+        const id = deck ? deck.id : null;
+        this.render(html`
         <div class="container animate-fade-in" style="max-width:600px">
             <h2>${deck ? '単語帳を編集' : '新しい単語帳を作成'}</h2>
-            <form onsubmit="event.preventDefault();App.saveDeck(this,${deck ? deck.id : null})">
-                <div style="margin:1rem 0"><label>単語帳の名前</label><input type="text" name="name" value="${deck ? deck.name : ''}" required style="width:100%"></div>
+            <form ${on('submit', 'saveDeck', '$el', id)}>
+                <div style="margin:1rem 0">
+                    <label>単語帳の名前</label><input type="text" name="name" value="${d.name}" required style="width:100%">
+                    <p style="color:var(--txt2);font-size:.85rem;margin-top:.5rem">「教科書::第1章::レッスン1」のように :: で区切ると、親の単語帳も自動で作成・選択されます。</p>
+                </div>
+                <div style="margin:1rem 0">
+                    <label>親の単語帳</label>
+                    <select name="parentId" style="width:100%"><option value="">（トップレベル）</option>${parentOpts}</select>
+                </div>
+                <div style="margin:1rem 0">
+                    <label>スケジューラ</label>
+                    <select name="scheduler" style="width:100%">${schedOpts}</select>
+                    <p style="color:var(--txt2);font-size:.85rem;margin-top:.5rem">変更すると、既存カードは復習履歴から新しいスケジューラの状態へ移行されます。</p>
+                </div>
+                <div style="margin:1rem 0">
+                    <label>読み上げ（音声のないカード）</label>
+                    <div class="flex gap-2">
+                        <select name="ttsLang" style="flex:2">${ttsOpts}</select>
+                        <select name="ttsSide" style="flex:1">${ttsSideOpts}</select>
+                    </div>
+                    <p style="color:var(--txt2);font-size:.85rem;margin-top:.5rem">ブラウザの音声合成でテキストを読み上げます。使える言語は端末によって異なります。</p>
+                </div>
+                <div style="margin:1rem 0">
+                    <label class="flex items-center gap-2"><input type="checkbox" name="typeAnswer" ${d.typeAnswer ? 'checked' : ''}> 答えを入力して確認する（スペル練習）</label>
+                    <div class="flex gap-4" style="flex-wrap:wrap;margin-top:.5rem">
+                        <span style="color:var(--txt2);font-size:.85rem">比較で無視するもの:</span>
+                        ${Object.entries(TYPE_IGNORE).map(([k, label]) => html`<label class="flex items-center gap-2" style="font-size:.9rem"><input type="checkbox" name="typeIgnore" value="${k}" ${(d.typeIgnore || DEFAULT_TYPE_IGNORE).includes(k) ? 'checked' : ''}> ${label}</label>`)}
+                    </div>
+                    <p style="color:var(--txt2);font-size:.85rem;margin-top:.5rem">入力と裏面（クローズは穴埋め部分）を1文字ずつ比較して違いを表示し、評価を提案します。</p>
+                </div>
+                <div class="card">
+                    <h3>オプションプリセット</h3>
+                    <div class="flex gap-2" style="margin:1rem 0">
+                        <select name="presetId" style="flex:1" ${on('change', 'changeDeckPreset', '$form', id)}>${presetOpts}</select>
+                        <button type="button" class="btn btn-secondary" ${on('click', 'addPreset', '$form', id)}><i data-lucide="copy-plus"></i> 複製</button>
+                        ${preset.id !== 1 ? html`<button type="button" class="btn btn-danger" ${on('click', 'deletePreset', '$form', id)}><i data-lucide="trash"></i></button>` : ''}
+                    </div>
+                    <p style="color:var(--txt2);font-size:.85rem">このプリセットを使用中の単語帳: ${usedBy}件。変更はそれらすべてに適用されます。</p>
+                    <div style="margin:1rem 0"><label>プリセット名</label><input type="text" name="presetName" value="${preset.name}" required style="width:100%"></div>
+                    <div style="margin:1rem 0"><label>学習ステップ（例: 1m 10m 1d）</label><input type="text" name="learningSteps" value="${Logic.formatSteps(preset.learningSteps)}" style="width:100%"></div>
+                    <div class="flex gap-4">
+                        <div style="flex:1"><label>新規カード/日</label><input type="number" name="newPerDay" min="0" value="${preset.newPerDay}" style="width:100%"></div>
+                        <div style="flex:1"><label>復習上限/日</label><input type="number" name="reviewsPerDay" min="0" value="${preset.reviewsPerDay}" style="width:100%"></div>
+                    </div>
+                    <div class="flex gap-4" style="margin-top:1rem">
+                        <div style="flex:1"><label>初期EF</label><input type="number" name="startingEase" min="1.3" max="5" step="0.05" value="${preset.startingEase}" style="width:100%"></div>
+                        <div style="flex:1"><label>最大間隔（日）</label><input type="number" name="maxInterval" min="1" value="${preset.maxInterval}" style="width:100%"></div>
+                        <div style="flex:1"><label>簡単ボーナス</label><input type="number" name="easyBonus" min="1" max="3" step="0.05" value="${preset.easyBonus}" style="width:100%"></div>
+                    </div>
+                    <h4 style="margin-top:1.5rem">忘れたとき</h4>
+                    <div style="margin:1rem 0"><label>再学習ステップ</label><input type="text" name="relearningSteps" value="${Logic.formatSteps(preset.relearningSteps)}" style="width:100%"></div>
+                    <div style="margin:1rem 0"><label>新しい間隔（前回間隔に対する割合、0で1日から）</label><input type="number" name="lapseMult" min="0" max="1" step="0.05" value="${preset.lapseMult}" style="width:100%"></div>
+                    <div class="flex gap-4" style="margin-top:1rem">
+                        <div style="flex:1"><label>リーチのしきい値（忘れた回数、0で無効）</label><input type="number" name="leechThreshold" min="0" value="${preset.leechThreshold}" style="width:100%"></div>
+                        <div style="flex:1"><label>リーチになったら</label><select name="leechAction" style="width:100%">${Object.entries(LEECH_ACTIONS).map(([k, v]) => html`<option value="${k}" ${preset.leechAction === k ? 'selected' : ''}>${v}</option>`)}</select></div>
+                    </div>
+                    <p style="color:var(--txt2);font-size:.85rem">忘れた回数は復習中のカードで「再学習」を押した回数で、学習中・再学習中の失敗は数えません。リーチはしきい値に達したとき、その後はしきい値の半分ごとに判定されます。タグは「${LEECH_TAG}」です。</p>
+                    <p style="color:var(--txt2);font-size:.85rem">初期EF・簡単ボーナス・新しい間隔は SM-2 + 補正 の単語帳のみに適用されます。</p>
+                </div>
                 <div class="flex gap-2">
-                    <button type="button" class="btn btn-secondary" onclick="App.navigateTo('deckList')">キャンセル</button>
+                    <button type="button" class="btn btn-secondary" ${on('click', 'navigateTo', 'deckList')}>キャンセル</button>
                     <button type="submit" class="btn btn-primary">保存</button>
                 </div>
             </form>
@@ -455,7 +3323,12 @@ const UI = {
     },
 
     // Card Form (image delete, per-side imgScale slider, layoutMode toggle)
-    renderCardForm(deckId, card = null) {
+    async renderCardForm(deckId, card = null) {
+        // Cards generated from a note are edited through the note
+        const note = card?.noteId != null && await db.get('notes', card.noteId);
+        if (note) return this.renderNoteForm(deckId, note);
+        Router.set(card ? 'cardForm' : 'cardNew', { cardId: card?.id, deckId });
+        const logs = card ? (await db.getLogsByCard(card.id)).sort((a, b) => a.reviewedAt.localeCompare(b.reviewedAt)) : [];
         // Backward compat: convert old imgSize
         const getScale = (side) => {
             const key = side + 'ImgScale';
@@ -470,35 +3343,60 @@ const UI = {
 
         const mkImgSection = (side, hiddenId, previewId, imgVal, scaleVal) => {
             const hasImg = !!(imgVal);
-            return `
+            return html`
                 <div style="margin:1rem 0">
                     <label>画像（カメラ撮影 または 写真選択）</label>
-                    <input type="file" accept="image/*" onchange="App.handleImageUpload(this,'${previewId}')">
+                    <input type="file" accept="image/*" ${on('change', 'handleImageUpload', '$el', previewId)}>
                     <input type="hidden" name="${side}Image" id="${hiddenId}" value="${imgVal || ''}">
-                    <div id="${previewId}" style="margin-top:.5rem">${hasImg ? `<img src="${imgVal}" style="max-height:150px;border-radius:8px">` : ''}</div>
-                    ${hasImg ? `<button type="button" class="btn btn-danger" style="margin-top:.5rem;font-size:.85rem" onclick="App.removeImage('${side}','${hiddenId}','${previewId}')">
+                    <div id="${previewId}" style="margin-top:.5rem">${hasImg ? Media.img(imgVal, html`style="max-height:150px;border-radius:8px"`) : ''}</div>
+                    ${hasImg ? html`<button type="button" class="btn btn-danger" style="margin-top:.5rem;font-size:.85rem" ${on('click', 'removeImage', side, hiddenId, previewId)}>
                         <i data-lucide="x"></i> 画像を削除
                     </button>` : ''}
                     <div style="margin-top:.75rem">
                         <label style="font-size:.85rem;color:var(--txt2)">画像サイズ: <strong id="${side}ScaleLabel">${scaleVal}%</strong></label>
-                        <input type="range" name="${side}ImgScale" min="50" max="150" step="10" value="${scaleVal}" style="width:100%;min-height:44px;accent-color:var(--pri)" oninput="document.getElementById('${side}ScaleLabel').textContent=this.value+'%'">
+                        <input type="range" name="${side}ImgScale" min="50" max="150" step="10" value="${scaleVal}" style="width:100%;min-height:44px;accent-color:var(--pri)" ${on('input', 'showPercent', '$el', `${side}ScaleLabel`)}>
                     </div>
                 </div>`;
         };
 
-        this.render(`
+        const mkAudioSection = (side, ref) => html`
+                <div style="margin:1rem 0">
+                    <label>音声（ファイル選択 または 録音）</label>
+                    <div class="flex gap-2 items-center" style="flex-wrap:wrap">
+                        <input type="file" accept="audio/*" ${on('change', 'handleAudioUpload', '$el', side)}>
+                        <button type="button" class="btn btn-secondary" id="${side}RecordBtn" ${on('click', 'toggleRecording', side)}><i data-lucide="mic"></i> 録音</button>
+                    </div>
+                    <input type="hidden" name="${side}Audio" id="${side}AudioRef" value="${ref || ''}">
+                    <div id="${side}AudioPreview" style="margin-top:.5rem">${ref ? this.audioPreview(side, ref) : ''}</div>
+                </div>`;
+
+        this.render(html`
         <div class="container animate-fade-in" style="max-width:600px">
             <h2>${card ? 'カードを編集' : '新しいカードを作成'}</h2>
-            <form onsubmit="event.preventDefault();App.saveCard(this,${deckId},${card ? card.id : null})">
+            <form ${on('submit', 'saveCard', '$el', deckId, card ? card.id : null)}>
                 <div class="card" style="margin-bottom:1rem">
                     <h3>表面（問題）</h3>
-                    <div style="margin:1rem 0"><label>テキスト</label><textarea name="frontText" style="width:100%;height:80px">${card ? card.frontText || '' : ''}</textarea></div>
+                    <div style="margin:1rem 0">
+                        <label>テキスト</label><textarea name="frontText" style="width:100%;height:80px" data-autofocus ${on('input', 'previewMarkup', '$el')}>${card ? card.frontText || '' : ''}</textarea>
+                        <div class="md-preview card-text" id="frontTextPreview">${Markup.render(card?.frontText)}</div>
+                    </div>
                     ${mkImgSection('front', 'frontImageParams', 'frontImagePreview', card?.frontImage, fScale)}
+                    ${mkAudioSection('front', card?.frontAudio)}
                 </div>
                 <div class="card" style="margin-bottom:1rem">
                     <h3>裏面（解答）</h3>
-                    <div style="margin:1rem 0"><label>テキスト</label><textarea name="backText" style="width:100%;height:80px">${card ? card.backText || '' : ''}</textarea></div>
+                    <div style="margin:1rem 0">
+                        <label>テキスト</label><textarea name="backText" style="width:100%;height:80px" ${on('input', 'previewMarkup', '$el')}>${card ? card.backText || '' : ''}</textarea>
+                        <div class="md-preview card-text" id="backTextPreview">${Markup.render(card?.backText)}</div>
+                    </div>
+                    ${MARKUP_HELP}
                     ${mkImgSection('back', 'backImageParams', 'backImagePreview', card?.backImage, bScale)}
+                    ${mkAudioSection('back', card?.backAudio)}
+                </div>
+                <div class="card" style="margin-bottom:1rem">
+                    <h3>タグ</h3>
+                    <input type="text" name="tags" value="${(card?.tags || []).join(' ')}" placeholder="verb toeic 重要" style="width:100%;margin-top:.5rem">
+                    <p style="color:var(--txt2);font-size:.85rem;margin-top:.5rem">スペース区切りで複数指定できます。</p>
                 </div>
                 <div class="card" style="margin-bottom:1rem">
                     <h3>表示レイアウト</h3>
@@ -511,33 +3409,226 @@ const UI = {
                     </div>
                 </div>
                 <div class="flex gap-2">
-                    <button type="button" class="btn btn-secondary" onclick="${state.returnToStudy ? 'App.returnToStudy()' : `App.manageCards(${deckId})`}">キャンセル</button>
+                    <button type="button" class="btn btn-secondary" ${on('click', 'leaveCardForm', deckId)}>キャンセル</button>
                     <button type="submit" class="btn btn-primary">保存</button>
                 </div>
             </form>
+            ${card ? this.cardHistory(logs) : ''}
         </div>`);
+    },
+
+    audioPreview(side, ref) {
+        return html`<div class="flex gap-2 items-center">
+            <audio controls data-media="${Media.hashOf(ref)}" style="flex:1"></audio>
+            <button type="button" class="btn btn-danger" style="font-size:.85rem" ${on('click', 'removeAudio', side)}><i data-lucide="x"></i> 音声を削除</button>
+        </div>`;
+    },
+
+    // Note editor: one input per field of the note type; draft keeps values across a type switch
+    async renderNoteForm(deckId, note = null, draft = {}) {
+        Router.set(note ? 'noteForm' : 'noteNew', { noteId: note?.id, deckId });
+        const [types, decks] = await Promise.all([db.getAll('noteTypes'), db.getAll('decks')]);
+        const typeId = Number(draft.noteTypeId || note?.noteTypeId || Settings.get('lastNoteType', 2));
+        const type = types.find(t => t.id === typeId) || types[0];
+        const values = draft.fields || note?.fields || [];
+        const cards = note ? await db.getCardsByNote(note.id) : [];
+        const tags = draft.tags ?? Logic.parseTags([...(note?.tags || []), ...cards.flatMap(c => c.tags || [])].join(' ')).join(' ');
+        const typeOpts = types.map(t => html`<option value="${t.id}" ${t.id === type.id ? 'selected' : ''}>${t.name}</option>`);
+        const deckOpts = Logic.deckTree(decks).map(({ deck: x }) => html`<option value="${x.id}" ${x.id === Number(draft.deckId || deckId) ? 'selected' : ''}>${Logic.deckPath(decks, x.id)}</option>`);
+        const fields = type.fields.map((name, i) => html`
+            <div style="margin:1rem 0">
+                <label>${name}</label>
+                <textarea name="field${i}" style="width:100%;height:70px" ${i === 0 ? 'data-autofocus' : ''} ${on('input', 'previewNote', '$form')}>${values[i] || ''}</textarea>
+            </div>`);
+        this.render(html`
+        <div class="container animate-fade-in" style="max-width:600px">
+            <h2>${note ? 'ノートを編集' : '新しいノートを作成'}</h2>
+            <form ${on('submit', 'saveNote', '$el', deckId, note ? note.id : null)}>
+                <div class="card" style="margin-bottom:1rem">
+                    <div class="flex gap-4" style="flex-wrap:wrap">
+                        <div style="flex:1;min-width:200px">
+                            <label>ノートタイプ</label>
+                            <select name="noteTypeId" style="width:100%" ${note ? 'disabled' : ''} ${on('change', 'changeNoteType', '$form', deckId)}>${typeOpts}</select>
+                        </div>
+                        ${note ? '' : html`<div style="flex:1;min-width:200px"><label>単語帳</label><select name="deckId" style="width:100%">${deckOpts}</select></div>`}
+                    </div>
+                    ${fields}
+                    ${type.kind === 'cloze' ? html`
+                    <button type="button" class="btn btn-secondary" ${on('mousedown', 'keepFocus', '$event')} ${on('click', 'insertCloze', '$form')}><i data-lucide="brackets"></i> 穴埋めにする</button>
+                    <p style="color:var(--txt2);font-size:.85rem;margin-top:.5rem">選択した部分を {{c1::…}} で囲みます。番号ごとに1枚のカードができます（同じ番号は同じカードでまとめて隠れます）。</p>` : ''}
+                </div>
+                <div class="card" style="margin-bottom:1rem">
+                    <h3>タグ</h3>
+                    <input type="text" name="tags" value="${tags}" placeholder="verb toeic 重要" style="width:100%;margin-top:.5rem">
+                    <p style="color:var(--txt2);font-size:.85rem;margin-top:.5rem">ノートから作られたすべてのカードに付きます。</p>
+                </div>
+                <div class="card" style="margin-bottom:1rem">
+                    <h3>作成されるカード</h3>
+                    <div id="notePreview" style="margin-top:.5rem"></div>
+                </div>
+                <div class="flex gap-2">
+                    <button type="button" class="btn btn-secondary" ${on('click', 'leaveCardForm', deckId)}>キャンセル</button>
+                    ${note ? html`<button type="button" class="btn btn-danger" ${on('click', 'deleteNote', note.id, deckId)}><i data-lucide="trash"></i> ノートを削除</button>` : ''}
+                    <button type="submit" class="btn btn-primary">保存</button>
+                </div>
+            </form>
+        </div>`);
+        App.previewNote(this.app.querySelector('form'));
+    },
+
+    // Note types: list, then the editor
+    async renderNoteTypes() {
+        const [types, notes] = await Promise.all([db.getAll('noteTypes'), db.getAll('notes')]);
+        const used = {}; notes.forEach(n => { used[n.noteTypeId] = (used[n.noteTypeId] || 0) + 1; });
+        const rows = types.map(t => html`
+        <div class="card flex justify-between items-center">
+            <div>
+                <strong>${t.name}</strong><br>
+                <small style="color:var(--txt2)">${NOTE_KINDS[t.kind]} | フィールド: ${t.fields.join('・')} | テンプレート ${t.templates.length} | ノート ${used[t.id] || 0}件</small>
+            </div>
+            <div class="flex gap-2">
+                <button class="btn btn-secondary" ${on('click', 'editNoteType', t.id)}><i data-lucide="edit"></i></button>
+                <button class="btn btn-secondary" ${on('click', 'copyNoteType', t.id)} title="複製"><i data-lucide="copy-plus"></i></button>
+                ${BUILTIN_NOTE_TYPES.some(b => b.uid === t.uid) || used[t.id] ? '' : html`<button class="btn btn-danger" ${on('click', 'deleteNoteType', t.id)}><i data-lucide="trash"></i></button>`}
+            </div>
+        </div>`);
+        this.render(html`
+        <div class="container animate-fade-in" style="max-width:800px">
+            <header class="flex justify-between items-center" style="margin-bottom:2rem">
+                <button class="btn btn-secondary" ${on('click', 'navigateTo', 'deckList')}><i data-lucide="arrow-left"></i> 戻る</button>
+                <h1>ノートタイプ</h1>
+                <div style="width:40px"></div>
+            </header>
+            <p style="color:var(--txt2);margin-bottom:1rem">ノートは単語・読み・意味・例文などのフィールドを持ち、テンプレートごとにカードを作ります。新しいタイプは既存のタイプを複製して作成します。</p>
+            <div class="flex flex-col gap-4">${rows}</div>
+        </div>`);
+    },
+    renderNoteTypeForm(type) {
+        Router.set(type.id ? 'noteTypeForm' : 'noteTypeNew', { typeId: type.id });
+        const tmpls = type.templates.map((t, i) => html`
+            <div class="card" style="margin-bottom:1rem">
+                <div class="flex gap-2 items-center">
+                    <input type="text" name="tmplName${i}" value="${t.name}" required style="flex:1">
+                    ${type.kind !== 'cloze' && type.templates.length > 1 ? html`<button type="button" class="btn btn-danger" ${on('click', 'removeNoteTemplate', '$form', i)}><i data-lucide="trash"></i></button>` : ''}
+                </div>
+                <div style="margin:1rem 0"><label>表面</label><textarea name="tmplFront${i}" style="width:100%;height:60px;font-family:monospace">${t.front}</textarea></div>
+                <div><label>裏面</label><textarea name="tmplBack${i}" style="width:100%;height:60px;font-family:monospace">${t.back}</textarea></div>
+            </div>`);
+        this.render(html`
+        <div class="container animate-fade-in" style="max-width:700px">
+            <h2>ノートタイプを編集</h2>
+            <form ${on('submit', 'saveNoteType', '$el')}>
+                <div class="card" style="margin-bottom:1rem">
+                    <div style="margin-bottom:1rem"><label>名前</label><input type="text" name="name" value="${type.name}" required style="width:100%"></div>
+                    <label>フィールド（1行に1つ）</label>
+                    <textarea name="fields" style="width:100%;height:100px">${type.fields.join('\n')}</textarea>
+                    <p style="color:var(--txt2);font-size:.85rem;margin-top:.5rem">既存のノートの値は順番で対応します。名前を変えるとテンプレートも書き換わります。</p>
+                </div>
+                <h3>テンプレート${type.kind === 'cloze' ? '（クローズ）' : ''}</h3>
+                <p style="color:var(--txt2);font-size:.85rem;margin:.5rem 0 1rem">{{フィールド名}} で値を差し込みます。{{#フィールド名}}…{{/フィールド名}} は値があるときだけ表示されます。${type.kind === 'cloze' ? 'クローズは {{cloze:フィールド名}} で穴埋めになります。' : '表面が空になるテンプレートのカードは作られません。'}</p>
+                ${tmpls}
+                ${type.kind !== 'cloze' ? html`<button type="button" class="btn btn-secondary" style="margin-bottom:1rem" ${on('click', 'addNoteTemplate', '$form')}><i data-lucide="plus"></i> テンプレートを追加</button>` : ''}
+                <div class="flex gap-2">
+                    <button type="button" class="btn btn-secondary" ${on('click', 'navigateTo', 'noteTypes')}>キャンセル</button>
+                    <button type="submit" class="btn btn-primary">保存</button>
+                </div>
+            </form>
+        </div>`);
+    },
+
+    // Review history of one card (logs store), oldest first
+    cardHistory(logs) {
+        if (!logs.length) return html`<div class="card" style="margin-top:1rem"><h3>復習履歴</h3><p style="color:var(--txt2);margin-top:.5rem">まだ復習していません。</p></div>`;
+        const f = v => v == null ? '-' : +(+v).toFixed(2);
+        const rows = logs.map(l => html`
+            <tr>
+                <td>${new Date(l.reviewedAt).toLocaleString()}</td>
+                <td>${GRADE_LABELS[l.q] || l.q}</td>
+                <td>${CARD_STATES[l.stateBefore] || '復習'}</td>
+                <td>${f(l.intervalBefore)} → ${f(l.intervalAfter)}日</td>
+                <td>${f(l.efBefore)} → ${f(l.EF)}</td>
+                <td>${l.gradeMs == null ? '-' : (l.gradeMs / 1000).toFixed(1) + '秒'}${l.slow ? '（遅い）' : ''}</td>
+            </tr>`);
+        const labels = logs.map(l => new Date(l.reviewedAt).toLocaleDateString());
+        return html`
+            <div class="card" style="margin-top:1rem">
+                <h3>復習履歴（${logs.length}回）</h3>
+                ${logs.length > 1 ? html`<p style="color:var(--txt2);font-size:.85rem;margin-top:.5rem">間隔（日）の推移</p>${Charts.line(logs.map(l => l.intervalAfter || 0), { labels })}` : ''}
+                <div style="overflow-x:auto">
+                    <table class="data-table">
+                        <tr><th>日時</th><th>評価</th><th>状態</th><th>間隔</th><th>EF</th><th>時間</th></tr>
+                        ${rows}
+                    </table>
+                </div>
+            </div>`;
     }
 };
 
 // --- App Controller ---
 const App = {
     async init() {
-        try { await db.init(); this.navigateTo('dashboard'); }
-        catch (e) { document.body.innerHTML = `<h1>起動エラー</h1><p>${e}</p>`; }
+        Events.init();
+        Shortcuts.init();
+        try { await db.init(); await Settings.load(); await Media.migrate(); await Router.init(); }
+        catch (e) { document.body.innerHTML = html`<h1>起動エラー</h1><p>${e}</p>`; return; }
+        // Housekeeping only: a failed recount is retried at the next start
+        Media.recount().catch(() => {});
+        // Offline support; workers need http(s), so a page opened from file:// runs without one.
+        // Without a worker the app still runs, it just needs the network.
+        if ('serviceWorker' in navigator && location.protocol.startsWith('http')) navigator.serviceWorker.register('sw.js').catch(() => {});
+        // A failure is kept in Sync.lastError and shown under 端末間の同期
+        if (Sync.configured()) Sync.run().then(() => { if (state.currentView === 'dashboard') UI.renderDashboard(); }).catch(() => {});
     },
 
     navigateTo(view) {
-        state.currentView = view;
-        if (view !== 'cardForm') state.returnToStudy = false;
+        Router.set(view);
+        Sound.stop();
+        if (view !== 'cardForm') { state.returnToStudy = false; state.returnToBrowser = false; }
         // Reset scroll + search only when navigating away from card list
         if (view !== 'cardManager' && view !== 'cardForm') {
             state.cardListScrollY = 0;
             state.cardSearchQuery = '';
         }
-        if (view === 'dashboard') UI.renderDashboard();
-        else if (view === 'deckList') UI.renderDeckList();
-        else if (view === 'settings') UI.renderSettings();
-        else if (view === 'dueList') UI.renderDueList();
+        if (view === 'dashboard') return UI.renderDashboard();
+        else if (view === 'deckList') return UI.renderDeckList();
+        else if (view === 'settings') return UI.renderSettings();
+        else if (view === 'dueList') return UI.renderDueList();
+        else if (view === 'optimizer') return UI.renderOptimizer();
+        else if (view === 'forecast') return UI.renderForecast();
+        else if (view === 'stats') return UI.renderStats();
+        else if (view === 'browser') return UI.renderBrowser();
+        else if (view === 'customStudy') return UI.renderCustomStudy();
+        else if (view === 'import') return UI.renderImport();
+        else if (view === 'mergeBackup') return UI.renderMergeBackup();
+        else if (view === 'noteTypes') return UI.renderNoteTypes();
+    },
+
+    // Views reached through a URL (reload, back/forward, a pasted link). Records that no longer
+    // exist fall back to the dashboard.
+    async openRoute(view, { deckId, cardId, noteId, typeId }) {
+        const missing = () => this.navigateTo('dashboard');
+        if (view !== 'cardForm' && view !== 'noteForm') { state.returnToStudy = false; state.returnToBrowser = false; }
+        const deck = deckId && await db.get('decks', deckId);
+        switch (view) {
+            case 'cardManager': return deck ? UI.renderCardManager(deckId) : missing();
+            case 'deckNew': return UI.renderDeckForm();
+            case 'deckEdit': return deck ? UI.renderDeckForm(deck) : missing();
+            case 'cardNew': return deck ? UI.renderCardForm(deckId) : missing();
+            case 'noteNew': return deck ? UI.renderNoteForm(deckId) : missing();
+            case 'cardForm': {
+                const card = await db.get('cards', cardId);
+                return card ? UI.renderCardForm(card.deckId, card) : missing();
+            }
+            case 'noteForm': {
+                const note = await db.get('notes', noteId);
+                return note ? UI.renderNoteForm(note.deckId, note) : missing();
+            }
+            case 'noteTypeForm': return await db.get('noteTypes', typeId) ? this.editNoteType(typeId) : missing();
+            case 'noteTypeNew': return state.noteTypeDraft ? UI.renderNoteTypeForm(state.noteTypeDraft) : this.navigateTo('noteTypes');
+            case 'mergeBackup': return this.navigateTo(state.backupMerge ? view : 'settings');
+            case 'study': return this.resumeStudy();
+            default: return this.navigateTo(view);
+        }
     },
 
     setSortOrder(order, deckId) {
@@ -546,6 +3637,100 @@ const App = {
         UI.renderCardManager(deckId);
     },
     setDeckFilter(val) { state.studyDeckFilter = val || null; },
+    setForecastDays(days) { state.forecastDays = days; UI.renderForecast(); },
+    setStatsFilter(patch) { Object.assign(state.stats, patch); UI.renderStats(); },
+    setStatsDeck(deckId) { this.setStatsFilter({ deckId }); },
+    async setTargetRetention(pct) {
+        const target = Number(pct) / 100;
+        if (target === Logic.targetRetention()) return;
+        await Settings.set('targetRetention', target);
+        await Logic.rescheduleAll();
+    },
+
+    showShortcutHelp() { Shortcuts.openHelp(); },
+    // Settings: the next key pressed is assigned to the action; a key already in use moves over
+    // and the other action takes this one's old key
+    recordShortcut(action, button) {
+        Shortcuts.recording = { action, button };
+        button.innerHTML = html`キーを押してください…`;
+    },
+    async recordShortcutKey(key) {
+        const { action } = Shortcuts.recording;
+        Shortcuts.recording = null;
+        if (key && key !== 'Tab' && key !== 'Enter') {
+            const b = Shortcuts.bindings();
+            const other = Object.keys(b).find(a => a !== action && b[a] === key);
+            if (other) b[other] = b[action];
+            b[action] = key;
+            const custom = Object.fromEntries(Object.entries(b).filter(([a, k]) => DEFAULT_SHORTCUTS[a] !== k));
+            await Settings.set('shortcuts', custom);
+        }
+        UI.renderSettings();
+    },
+    async resetShortcuts() { await Settings.set('shortcuts', {}); UI.renderSettings(); },
+
+    async setSlowAnswer(sec) { await Settings.set('slowAnswerSec', Math.min(MAX_ANSWER_MS / 1000, Math.max(0, Number(sec) || 0))); },
+
+    // Card browser
+    searchBrowser(form) { state.browserQuery = form.q.value.trim(); state.browserSelection = []; UI.renderBrowser(); },
+    async browseDeck(deckId) {
+        const decks = await db.getAll('decks');
+        state.browserQuery = `deck:"${Logic.deckPath(decks, deckId)}"`;
+        state.browserSelection = [];
+        this.navigateTo('browser');
+    },
+    toggleBrowserSelect(id, on) {
+        state.browserSelection = state.browserSelection.filter(x => x !== id);
+        if (on) state.browserSelection.push(id);
+        UI.renderBrowser();
+    },
+    async selectAllBrowser(on) {
+        state.browserSelection = on ? (await Query.search(state.browserQuery)).map(c => c.id) : [];
+        UI.renderBrowser();
+    },
+    async selectedCards() { return (await Promise.all(state.browserSelection.map(id => db.get('cards', id)))).filter(Boolean); },
+    async editCardFromBrowser(id, deckId) {
+        state.returnToStudy = false; state.returnToBrowser = true;
+        UI.renderCardForm(deckId, await db.get('cards', id));
+        window.scrollTo(0, 0);
+    },
+    async bulkTag(add) {
+        const input = prompt(add ? '追加するタグ（スペース区切り）' : '削除するタグ（スペース区切り）');
+        const tags = Logic.parseTags(input || '');
+        if (!tags.length) return;
+        for (const c of await this.selectedCards()) {
+            const cur = c.tags || [];
+            const next = add ? Logic.parseTags([...cur, ...tags].join(' ')) : cur.filter(t => !tags.includes(t));
+            await db.put('cards', { ...c, tags: next, updatedAt: new Date().toISOString() });
+        }
+        UI.renderBrowser();
+    },
+    async bulkMove() {
+        const deckId = Number(document.getElementById('bulkMoveTarget').value);
+        const cards = (await this.selectedCards()).filter(c => c.deckId !== deckId);
+        if (!cards.length) return;
+        await Logic.moveCards(cards, deckId);
+        UI.renderBrowser();
+    },
+    // Resuming also lifts a bury
+    async bulkSuspend(suspend) {
+        for (const c of await this.selectedCards()) {
+            const { suspended, buriedUntil, ...rest } = c;
+            await db.put('cards', { ...(suspend ? { ...c, suspended: true } : rest), updatedAt: new Date().toISOString() });
+        }
+        UI.renderBrowser();
+    },
+    async bulkReset() {
+        if (!confirm(`${state.browserSelection.length}枚のカードを未学習の状態に戻しますか？（復習履歴は残ります）`)) return;
+        for (const c of await this.selectedCards()) await db.put('cards', Logic.resetScheduling(c));
+        UI.renderBrowser();
+    },
+    async bulkDelete() {
+        if (!confirm(`${state.browserSelection.length}枚のカードを削除しますか？`)) return;
+        for (const id of state.browserSelection) await db.del('cards', id);
+        state.browserSelection = [];
+        UI.renderBrowser();
+    },
 
     // Real-time search filter (DOM-based, no re-render)
     filterCards(query) {
@@ -553,30 +3738,43 @@ const App = {
         UI.applySearchFilter(query);
     },
 
+    // Live preview of a card text field (#<name>Preview)
+    previewMarkup(textarea) {
+        const el = document.getElementById(textarea.name + 'Preview');
+        el.innerHTML = Markup.render(textarea.value);
+        Media.hydrate(el);
+    },
+
     // Image upload
-    handleImageUpload(input, previewId) {
+    async handleImageUpload(input, previewId) {
         const file = input.files[0]; if (!file) return;
-        const reader = new FileReader();
-        reader.onloadend = () => {
-            const b64 = reader.result;
-            const hiddenId = previewId === 'frontImagePreview' ? 'frontImageParams' : 'backImageParams';
-            document.getElementById(hiddenId).value = b64;
-            document.getElementById(previewId).innerHTML = `<img src="${b64}" style="max-height:150px;border-radius:8px">`;
-            // Show delete button
-            const delBtn = document.querySelector(`[onclick*="${previewId}"].btn-danger`);
-            if (!delBtn) {
-                const side = previewId === 'frontImagePreview' ? 'front' : 'back';
-                const btn = document.createElement('button');
-                btn.type = 'button'; btn.className = 'btn btn-danger'; btn.style.cssText = 'margin-top:.5rem;font-size:.85rem';
-                btn.onclick = () => App.removeImage(side, hiddenId, previewId);
-                btn.innerHTML = '<i data-lucide="x"></i> 画像を削除';
-                document.getElementById(previewId).parentElement.appendChild(btn);
-                lucide.createIcons();
-            }
-        };
-        reader.readAsDataURL(file);
+        let ref;
+        try { ref = await Media.put(await Media.downscale(file)); }
+        catch (e) { alert("画像を読み込めませんでした: " + e.message); return; }
+        const hiddenId = previewId === 'frontImagePreview' ? 'frontImageParams' : 'backImageParams';
+        document.getElementById(hiddenId).value = ref;
+        const preview = document.getElementById(previewId);
+        preview.innerHTML = Media.img(ref, html`style="max-height:150px;border-radius:8px"`);
+        Media.hydrate(preview);
+        // Show delete button
+        const delBtn = preview.parentElement.querySelector('.btn-danger');
+        if (!delBtn) {
+            const side = previewId === 'frontImagePreview' ? 'front' : 'back';
+            const btn = document.createElement('button');
+            btn.type = 'button'; btn.className = 'btn btn-danger'; btn.style.cssText = 'margin-top:.5rem;font-size:.85rem';
+            btn.onclick = () => App.removeImage(side, hiddenId, previewId);
+            btn.innerHTML = '<i data-lucide="x"></i> 画像を削除';
+            preview.parentElement.appendChild(btn);
+            Icons.refresh();
+        }
     },
 
+    zoomImage(btn) { openImageModal(btn.previousElementSibling.src); },
+    // Range inputs with a "<value>%" label next to them
+    showPercent(input, labelId) { document.getElementById(labelId).textContent = input.value + '%'; },
+    // Mousedown on buttons that act on the focused field must not take the focus away
+    keepFocus(e) { e.preventDefault(); },
+
     // Image removal
     removeImage(side, hiddenId, previewId) {
         if (!confirm('この画像を削除しますか？')) return;
@@ -586,53 +3784,297 @@ const App = {
         btns.forEach(b => b.remove());
     },
 
+    // Card audio (stored as is, no re-encoding)
+    async handleAudioUpload(input, side) {
+        const file = input.files[0]; if (!file) return;
+        this.setCardAudio(side, await Media.put(file));
+    },
+    setCardAudio(side, ref) {
+        document.getElementById(`${side}AudioRef`).value = ref;
+        const preview = document.getElementById(`${side}AudioPreview`);
+        preview.innerHTML = ref ? UI.audioPreview(side, ref) : '';
+        Media.hydrate(preview);
+        Icons.refresh();
+    },
+    removeAudio(side) {
+        if (!confirm('この音声を削除しますか？')) return;
+        this.setCardAudio(side, '');
+    },
+    // Microphone recording: the first click starts, the second stops and attaches the take
+    recorder: null,
+    async toggleRecording(side) {
+        if (this.recorder) { this.recorder.stop(); return; }
+        let stream;
+        try { stream = await navigator.mediaDevices.getUserMedia({ audio: true }); }
+        catch (e) { alert("マイクを使用できません: " + e.message); return; }
+        const btn = document.getElementById(`${side}RecordBtn`);
+        const chunks = [], rec = new MediaRecorder(stream);
+        rec.ondataavailable = e => chunks.push(e.data);
+        rec.onstop = async () => {
+            stream.getTracks().forEach(t => t.stop());
+            this.recorder = null;
+            if (!document.body.contains(btn)) return; // left the form while recording
+            btn.classList.remove('btn-danger');
+            btn.innerHTML = '<i data-lucide="mic"></i> 録音';
+            this.setCardAudio(side, await Media.put(new Blob(chunks, { type: (rec.mimeType || 'audio/webm').split(';')[0] })));
+        };
+        rec.start();
+        this.recorder = rec;
+        btn.classList.add('btn-danger');
+        btn.innerHTML = '<i data-lucide="square"></i> 停止';
+        Icons.refresh();
+    },
+
+    // Parameter optimization
+    async runOptimizer() {
+        const btn = document.getElementById('optimizeBtn');
+        const bar = document.getElementById('optimizeProgress');
+        btn.disabled = true; bar.style.display = '';
+        try {
+            state.optimizeResult = await Optimizer.run(p => { bar.firstElementChild.style.width = Math.round(p * 100) + '%'; });
+            UI.renderOptimizer();
+        } catch (e) {
+            alert("最適化できませんでした: " + e.message);
+            btn.disabled = false; bar.style.display = 'none';
+        }
+    },
+    async applyParams() {
+        if (!state.optimizeResult || !confirm("最適化したパラメータを適用しますか？\n（以降の復習から反映されます）")) return;
+        await Settings.set('paramsPrev', Settings.get('params', null) ?? DEFAULT_PARAMS);
+        await Settings.set('params', state.optimizeResult.fitted);
+        state.optimizeResult = null;
+        UI.renderOptimizer();
+    },
+    async revertParams() {
+        const prev = Settings.get('paramsPrev', null);
+        if (!prev || !confirm("前回適用する前のパラメータに戻しますか？")) return;
+        await Settings.set('paramsPrev', Settings.get('params', null) ?? DEFAULT_PARAMS);
+        await Settings.set('params', prev);
+        UI.renderOptimizer();
+    },
+    async resetParams() {
+        if (!confirm("パラメータを既定値に戻しますか？")) return;
+        await Settings.set('paramsPrev', Settings.get('params', null) ?? DEFAULT_PARAMS);
+        await Settings.set('params', {});
+        UI.renderOptimizer();
+    },
+
     // Backup (fixed filename)
+    downloadFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a'); a.href = url; a.download = filename;
+        document.body.appendChild(a); a.click(); document.body.removeChild(a); URL.revokeObjectURL(url);
+    },
+    // Images the cards use travel along as data URLs
+    async backupBlob(data) {
+        const packed = { ...Backup.pack(data), media: await Backup.packMedia(data.cards.flatMap(c => Media.refsOf(c))) };
+        return new Blob([JSON.stringify({ version: Backup.VERSION, exportedAt: new Date().toISOString(), data: packed })], { type: 'application/json' });
+    },
     async exportBackup() {
         try {
-            const [decks, cards, logs] = await Promise.all([db.getAll('decks'), db.getAll('cards'), db.getAll('logs')]);
-            const blob = new Blob([JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), data: { decks, cards, logs } })], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a'); a.href = url; a.download = 'deepgalaxy_backup.json';
-            document.body.appendChild(a); a.click(); document.body.removeChild(a); URL.revokeObjectURL(url);
+            this.downloadFile(await this.backupBlob(await Backup.local()), 'deepgalaxy_backup.json');
             alert("deepgalaxy_backup.json として保存しました。\n\n毎回同じファイル名で保存されます。\nGoogle Driveの同期フォルダに置くと自動的に上書きされます。");
         } catch (e) { alert("エクスポート失敗: " + e); }
     },
+    // One deck with all of its subdecks, same format as the full backup
+    async exportDeck(id) {
+        try {
+            const [allDecks, allCards, allLogs, allPresets, allNotes, allTypes] = await Promise.all(['decks', 'cards', 'logs', 'presets', 'notes', 'noteTypes'].map(s => db.getAll(s)));
+            const ids = Logic.subtreeIds(allDecks, id);
+            const cards = allCards.filter(c => ids.has(c.deckId));
+            const cardIds = new Set(cards.map(c => c.id));
+            const notes = allNotes.filter(n => cards.some(c => c.noteId === n.id));
+            const noteTypes = allTypes.filter(t => notes.some(n => n.noteTypeId === t.id));
+            const decks = allDecks.filter(d => ids.has(d.id)).map(d => d.id === id ? { ...d, parentId: null } : d);
+            const presets = allPresets.filter(p => decks.some(d => d.presetId === p.id));
+            const name = allDecks.find(d => d.id === id).name;
+            this.downloadFile(await this.backupBlob({ decks, cards, presets, notes, noteTypes, logs: allLogs.filter(l => cardIds.has(l.cardId)) }), `deepgalaxy_${name}.json`);
+        } catch (e) { alert("エクスポート失敗: " + e); }
+    },
+    // Anki packages
+    async exportApkg(deckId = null) {
+        try {
+            const decks = await db.getAll('decks');
+            const name = deckId ? decks.find(d => d.id === deckId).name : 'all';
+            this.downloadFile(await Apkg.export(deckId), `deepgalaxy_${name}.apkg`);
+        } catch (e) { alert("エクスポート失敗: " + e.message); }
+    },
+    async importApkg(file) {
+        UI.render(html`<div class="loading-screen"><div class="spinner"></div><p>${file.name} を読み込んでいます...</p></div>`);
+        try {
+            const res = await Apkg.import(await file.arrayBuffer());
+            alert(`インポート完了\nカード: ${res.cards}枚 / 復習履歴: ${res.logs}件${res.skipped ? ` / 取り込み済みのためスキップ: ${res.skipped}枚` : ''}`);
+            this.navigateTo('deckList');
+        } catch (e) { alert("インポートエラー: " + e.message); UI.renderImport(); }
+    },
+
+    // Text import wizard
+    async loadImportFile(input) {
+        const file = input.files[0]; if (!file) return;
+        if (/\.apkg$/i.test(file.name)) return this.importApkg(file);
+        state.importJob = {
+            fileName: file.name, buffer: await file.arrayBuffer(), encoding: 'utf-8', delimiter: /\.csv$/i.test(file.name) ? ',' : 'auto',
+            hasHeader: false, mapping: null, deckId: state.activeDeckId || '', dupMode: 'skip'
+        };
+        UI.renderImport();
+    },
+    resetImport() { state.importJob = null; UI.renderImport(); },
+    readImportForm(form) {
+        const job = state.importJob;
+        const reparse = form.encoding.value !== job.encoding || form.delimiter.value !== job.delimiter || form.hasHeader.checked !== job.hasHeader;
+        Object.assign(job, { encoding: form.encoding.value, delimiter: form.delimiter.value, hasHeader: form.hasHeader.checked, deckId: form.deckId.value, dupMode: form.dupMode.value });
+        job.mapping = reparse ? null : job.mapping.map((m, i) => form.elements[`map${i}`]?.value || m);
+    },
+    updateImport(form) { this.readImportForm(form); UI.renderImport(); },
+    async runImport(form) {
+        this.readImportForm(form);
+        const job = state.importJob;
+        try {
+            const analysis = Importer.analyze(job);
+            let deckId = Number(job.deckId);
+            if (!deckId) deckId = await Logic.ensureDeckPath((analysis.deck || job.fileName.replace(/\.[^.]+$/, '')).split('::'));
+            const res = await Importer.run(analysis, { deckId, dupMode: job.dupMode });
+            alert(`インポート完了\n追加: ${res.added}件 / 更新: ${res.updated}件 / スキップ: ${res.skipped}件`);
+            state.importJob = null;
+            this.navigateTo('deckList');
+        } catch (e) { alert("インポートエラー: " + e.message); UI.renderImport(); }
+    },
+
     triggerImport() { document.getElementById('importFile').click(); },
+    // Sync
+    async saveSyncSettings(form) {
+        const url = form.syncUrl.value.trim();
+        // A new endpoint starts from scratch: everything is pushed on the first sync
+        if (url !== Settings.get('syncUrl', '')) { await Settings.set('syncCursor', null); await Settings.set('syncLastAt', null); }
+        if (!Settings.get('syncDevice')) await Settings.set('syncDevice', newUid());
+        await Settings.set('syncUrl', url);
+        await Settings.set('syncToken', form.syncToken.value.trim());
+        if (url) await this.syncNow();
+        else UI.renderSettings();
+    },
+    async syncNow() {
+        try {
+            const { pulled, pushed } = await Sync.run();
+            const sum = k => Object.values(pulled).reduce((a, x) => a + x[k], 0);
+            alert(`同期しました\n受信: 追加 ${sum('added')}件 / 更新 ${sum('updated')}件 / 削除 ${sum('deleted')}件\n送信: ${pushed}件`);
+        } catch (e) { alert("同期エラー: " + e.message); }
+        UI.renderSettings();
+    },
+
+    // Merge import: validate and dry-run first, the summary screen commits
     async importBackup(input) {
         const file = input.files[0]; if (!file) return;
-        if (!confirm("現在のデータをすべて消去し、バックアップファイルの内容で上書きしますか？\n\nこの操作は取り消せません。")) { input.value = ''; return; }
         const reader = new FileReader();
         reader.onload = async e => {
+            input.value = '';
             try {
                 const bk = JSON.parse(e.target.result);
-                if (!bk.data || !bk.data.decks) throw new Error("無効なファイルです");
-                const tx = db.instance.transaction(['decks', 'cards', 'logs'], 'readwrite');
-                await tx.objectStore('decks').clear(); await tx.objectStore('cards').clear(); await tx.objectStore('logs').clear();
-                for (const d of bk.data.decks) await tx.objectStore('decks').put(d);
-                for (const c of bk.data.cards) await tx.objectStore('cards').put(c);
-                for (const l of bk.data.logs) await tx.objectStore('logs').put(l);
-                tx.oncomplete = () => { alert("復元完了！"); location.reload(); };
+                Backup.validate(bk);
+                const local = await Backup.local();
+                state.backupMerge = { fileName: file.name, exportedAt: bk.exportedAt, plan: Backup.plan(local, Backup.incoming(bk, local)) };
+                this.navigateTo('mergeBackup');
             } catch (err) { alert("インポートエラー: " + err.message); }
         };
         reader.readAsText(file);
     },
+    async applyBackupMerge() {
+        try { await Backup.apply(state.backupMerge.plan); }
+        catch (e) { alert("統合に失敗しました。データは変更されていません。\n" + e.message); return; }
+        state.backupMerge = null;
+        alert("統合完了！"); location.reload();
+    },
 
     // Deck CRUD
     createDeck() { UI.renderDeckForm(); },
     async editDeck(id) { UI.renderDeckForm(await db.get('decks', id)); },
     async saveDeck(form, id) {
-        const deck = { name: form.name.value, updatedAt: new Date().toISOString() };
-        if (id) { deck.id = id; deck.createdAt = (await db.get('decks', id)).createdAt; await db.put('decks', deck); }
+        const deck = {
+            name: form.name.value.trim(), scheduler: form.scheduler.value, presetId: Number(form.presetId.value), parentId: Number(form.parentId.value) || null,
+            ttsLang: form.ttsLang.value, ttsSide: form.ttsSide.value, ...this.typeAnswerOptions(form), updatedAt: new Date().toISOString()
+        };
+        let preset;
+        try { preset = Logic.presetFromForm(form); } catch (e) { alert(e.message); return; }
+        // "Parent::Child" names are resolved from the top level and override the parent select
+        const segs = deck.name.split('::').map(x => x.trim()).filter(Boolean);
+        if (!segs.length) return;
+        let parents = [];
+        if (segs.length > 1) {
+            deck.name = segs.pop(); parents = segs;
+            // Missing ancestors go below the deepest existing one, so that one decides cycles
+            const decks = await db.getAll('decks');
+            if (id && Logic.subtreeIds(decks, id).has(Logic.findDeckPath(decks, parents).parentId)) { alert("自分自身やサブデッキを親にすることはできません。"); return; }
+        }
+        const ex = id ? await db.get('decks', id) : null;
+        const migrate = ex && (ex.scheduler || 'sm2') !== deck.scheduler;
+        if (migrate && !confirm(`スケジューラを「${Schedulers[deck.scheduler].label}」に変更し、既存カードを復習履歴から移行しますか？`)) return;
+        // Nothing is written until the checks above have passed
+        if (parents.length) deck.parentId = await Logic.ensureDeckPath(parents, { scheduler: deck.scheduler, presetId: deck.presetId });
+        const cur = await db.get('presets', deck.presetId);
+        if (Object.keys(preset).some(k => JSON.stringify(preset[k]) !== JSON.stringify(cur[k])))
+            await db.put('presets', { ...cur, ...preset, updatedAt: new Date().toISOString() });
+        if (ex) {
+            if (migrate) await Logic.migrateDeck(id, deck.scheduler);
+            await db.put('decks', { ...ex, ...deck });
+        }
         else { deck.createdAt = new Date().toISOString(); await db.add('decks', deck); }
         this.navigateTo('deckList');
     },
+
+    // Deck option presets (edited inside the deck form)
+    deckDraft(form) { return { name: form.name.value, scheduler: form.scheduler.value, presetId: Number(form.presetId.value), parentId: Number(form.parentId.value) || null, ttsLang: form.ttsLang.value, ttsSide: form.ttsSide.value, ...this.typeAnswerOptions(form) }; },
+    typeAnswerOptions(form) {
+        return { typeAnswer: form.typeAnswer.checked, typeIgnore: [...form.querySelectorAll('[name="typeIgnore"]:checked')].map(x => x.value) };
+    },
+    async changeDeckPreset(form, id) {
+        UI.renderDeckForm(id ? await db.get('decks', id) : null, this.deckDraft(form));
+    },
+    async addPreset(form, id) {
+        let preset;
+        try { preset = Logic.presetFromForm(form); } catch (e) { alert(e.message); return; }
+        const name = prompt("新しいプリセットの名前", preset.name + " のコピー");
+        if (!name) return;
+        const presetId = await db.add('presets', { ...preset, name, updatedAt: new Date().toISOString() });
+        UI.renderDeckForm(id ? await db.get('decks', id) : null, { ...this.deckDraft(form), presetId });
+    },
+    async deletePreset(form, id) {
+        const presetId = Number(form.presetId.value);
+        if (presetId === 1 || !confirm("このプリセットを削除しますか？\n使用中の単語帳はデフォルトに戻ります。")) return;
+        const decks = await db.getAll('decks');
+        for (const d of decks) if (d.presetId === presetId) await db.put('decks', { ...d, presetId: 1 });
+        await db.del('presets', presetId);
+        UI.renderDeckForm(id ? await db.get('decks', id) : null, { ...this.deckDraft(form), presetId: 1 });
+    },
     async deleteDeck(id) {
-        if (!confirm("この単語帳とすべてのカードを削除しますか？")) return;
-        await db.del('decks', id);
-        const cards = await db.getCardsByDeck(id);
-        for (const c of cards) await db.del('cards', c.id);
+        const ids = [...Logic.subtreeIds(await db.getAll('decks'), id)];
+        const msg = ids.length > 1 ? `この単語帳とサブデッキ${ids.length - 1}件、およびすべてのカードを削除しますか？` : "この単語帳とすべてのカードを削除しますか？";
+        if (!confirm(msg)) return;
+        for (const deckId of ids) {
+            await db.del('decks', deckId);
+            const cards = await db.getCardsByDeck(deckId);
+            for (const c of cards) await db.del('cards', c.id);
+        }
+        this.navigateTo('deckList');
+    },
+
+    // Deck hierarchy: drag a deck onto another to make it a subdeck (null = top level)
+    dragOverDeck(e, el) { e.preventDefault(); el.classList.add('drop-target'); },
+    dragLeaveDeck(el) { el.classList.remove('drop-target'); },
+    dragDeck(e, id) { e.dataTransfer.setData('text/plain', String(id)); e.dataTransfer.effectAllowed = 'move'; },
+    async dropDeck(e, targetId) {
+        e.preventDefault();
+        const id = Number(e.dataTransfer.getData('text/plain'));
+        if (!id || id === targetId) { this.navigateTo('deckList'); return; }
+        const decks = await db.getAll('decks');
+        if (targetId && Logic.subtreeIds(decks, id).has(targetId)) { alert("自分のサブデッキの中には移動できません。"); this.navigateTo('deckList'); return; }
+        const deck = decks.find(d => d.id === id);
+        await db.put('decks', { ...deck, parentId: targetId, updatedAt: new Date().toISOString() });
         this.navigateTo('deckList');
     },
+    toggleDeck(id) {
+        const i = state.collapsedDecks.indexOf(id);
+        if (i >= 0) state.collapsedDecks.splice(i, 1); else state.collapsedDecks.push(id);
+        UI.renderDeckList();
+    },
 
     // Card CRUD (save scroll position before leaving list)
     manageCards(deckId) { UI.renderCardManager(deckId); },
@@ -643,7 +4085,7 @@ const App = {
     },
     async editCard(id, deckId) {
         state.cardListScrollY = window.scrollY;
-        state.returnToStudy = false;
+        state.returnToStudy = false; state.returnToBrowser = false;
         UI.renderCardForm(deckId, await db.get('cards', id));
         window.scrollTo(0, 0);
     },
@@ -655,25 +4097,21 @@ const App = {
         const backText = form.backText.value.trim();
         const frontImage = form.frontImage.value;
         const backImage = form.backImage.value;
+        const frontAudio = form.frontAudio.value;
+        const backAudio = form.backAudio.value;
 
         // Duplicate check on new cards only
         if (!id && (frontText || backText)) {
-            const existing = await db.getCardsByDeck(deckId);
-            const dupFront = frontText && existing.some(c => c.frontText && c.frontText.trim() === frontText);
-            const dupBack = backText && existing.some(c => c.backText && c.backText.trim() === backText);
-            if (dupFront && dupBack) {
-                if (!confirm("同じ表面・裏面のカードがすでに存在します。\n本当に作成しますか？")) return;
-            } else if (dupFront) {
-                if (!confirm("同じ表面（問題）のカードがすでに存在します。\n本当に作成しますか？")) return;
-            } else if (dupBack) {
-                if (!confirm("同じ裏面（解答）のカードがすでに存在します。\n本当に作成しますか？")) return;
-            }
+            const dup = Logic.findDuplicate(await db.getCardsByDeck(deckId), frontText, backText);
+            const label = { both: '表面・裏面', front: '表面（問題）', back: '裏面（解答）' }[dup?.kind];
+            if (dup && !confirm(`同じ${label}のカードがすでに存在します。\n本当に作成しますか？`)) return;
         }
 
         const frontImgScale = parseInt(form.frontImgScale?.value || '100');
         const backImgScale = parseInt(form.backImgScale?.value || '100');
         const layoutMode = form.layoutMode?.value || 'vertical';
-        const cardData = { deckId, frontText, frontImage, backText, backImage, frontImgScale, backImgScale, layoutMode, updatedAt: new Date().toISOString() };
+        const tags = Logic.parseTags(form.tags?.value || '');
+        const cardData = { deckId, frontText, frontImage, frontAudio, backText, backImage, backAudio, frontImgScale, backImgScale, layoutMode, tags, updatedAt: new Date().toISOString() };
         if (id) {
             const ex = await db.get('cards', id);
             Object.assign(ex, cardData);
@@ -681,13 +4119,155 @@ const App = {
             if (state.returnToStudy && state.studyQueue[state.currentCardIndex]?.id === id)
                 Object.assign(state.studyQueue[state.currentCardIndex], ex);
         } else {
-            Object.assign(cardData, { n: 0, I: 0, EF: 2.5, nextReviewAt: null, totalSuccesses: 0, createdAt: new Date().toISOString() });
-            await db.add('cards', cardData);
+            await db.add('cards', Logic.newCard(await db.get('decks', deckId), cardData));
         }
         if (state.returnToStudy) { state.returnToStudy = false; this.renderCurrentStudyCard(); }
+        else if (state.returnToBrowser) this.navigateTo('browser');
+        else this.manageCards(deckId);
+    },
+
+    // Notes
+    createNote(deckId) {
+        state.cardListScrollY = window.scrollY;
+        state.returnToStudy = false; state.returnToBrowser = false;
+        UI.renderNoteForm(deckId);
+        window.scrollTo(0, 0);
+    },
+    noteDraft(form) {
+        return {
+            noteTypeId: Number(form.noteTypeId.value), deckId: Number(form.deckId?.value) || null, tags: form.tags.value,
+            fields: [...form.querySelectorAll('textarea[name^="field"]')].map(t => t.value)
+        };
+    },
+    changeNoteType(form, deckId) { UI.renderNoteForm(deckId, null, this.noteDraft(form)); },
+    async previewNote(form) {
+        const type = await db.get('noteTypes', Number(form.noteTypeId.value));
+        const cards = Notes.generate(type, { fields: this.noteDraft(form).fields });
+        const label = c => type.kind === 'cloze' ? `穴埋め ${c.ord + 1}` : type.templates.find((t, i) => (t.ord ?? i) === c.ord).name;
+        const el = document.getElementById('notePreview'); if (!el) return;
+        el.innerHTML = cards.length ? html`${cards.map(c => html`<div class="note-preview card-text"><small>${label(c)}</small>${Markup.render(c.frontText)}<div style="color:var(--txt2)">${Markup.render(c.backText)}</div></div>`)}`
+            : html`<p style="color:var(--txt2)">フィールドを入力するとカードが作られます。</p>`;
+    },
+    // Wrap the selection of the focused field in the next cloze number
+    insertCloze(form) {
+        const active = document.activeElement;
+        const ta = active?.form === form && /^field\d+$/.test(active.name) ? active : form.querySelector('textarea[name="field0"]');
+        const nums = Notes.clozeNumbers({ fields: this.noteDraft(form).fields });
+        const open = `{{c${(nums.length ? Math.max(...nums) : 0) + 1}::`;
+        const { selectionStart: a, selectionEnd: b, value } = ta;
+        ta.value = value.slice(0, a) + open + value.slice(a, b) + '}}' + value.slice(b);
+        ta.focus();
+        ta.selectionStart = ta.selectionEnd = a + open.length + (b - a);
+        this.previewNote(form);
+    },
+    async saveNote(form, deckId, noteId) {
+        const draft = this.noteDraft(form);
+        const type = await db.get('noteTypes', draft.noteTypeId);
+        const fields = draft.fields.map(v => v.trim());
+        const tags = Logic.parseTags(draft.tags);
+        if (!Notes.generate(type, { fields }).length) {
+            alert(type.kind === 'cloze' ? "穴埋め（{{c1::…}}）がありません。" : "カードが1枚も作られません。表面に使われるフィールドを入力してください。");
+            return;
+        }
+        let note;
+        if (noteId) note = { ...(await db.get('notes', noteId)), fields, tags };
+        else {
+            // Duplicate check on the first field among notes of the same type
+            const dup = fields[0] && (await db.getAll('notes')).some(n => n.noteTypeId === type.id && n.fields[0] === fields[0]);
+            if (dup && !confirm(`「${type.fields[0]}」が同じノートがすでに存在します。\n本当に作成しますか？`)) return;
+            note = { noteTypeId: type.id, deckId: draft.deckId || deckId, fields, tags, createdAt: new Date().toISOString() };
+            await Settings.set('lastNoteType', type.id);
+        }
+        const res = await Notes.save(note);
+        await this.dropEmptyCards(res.empty);
+        if (state.returnToStudy) {
+            const cur = state.studyQueue[state.currentCardIndex];
+            const fresh = cur && await db.get('cards', cur.id);
+            if (fresh) Object.assign(cur, fresh);
+            else if (cur) { state.studyQueue.splice(state.currentCardIndex, 1); state.isShowingAnswer = false; }
+            state.returnToStudy = false; this.advanceStudy();
+        }
+        else if (state.returnToBrowser) this.navigateTo('browser');
+        else this.manageCards(deckId);
+    },
+    // Cards whose template or cloze number is gone keep their history until the user agrees to drop them
+    async dropEmptyCards(cards) {
+        if (!cards.length || !confirm(`${cards.length}枚のカードが空になりました（テンプレートまたは穴埋めがなくなりました）。\n削除しますか？（キャンセルすると以前の内容のまま残ります）`)) return;
+        for (const c of cards) await db.del('cards', c.id);
+    },
+    async deleteNote(id, deckId) {
+        const cards = await db.getCardsByNote(id);
+        if (!confirm(`このノートと、作られた${cards.length}枚のカードを削除しますか？`)) return;
+        for (const c of cards) await db.del('cards', c.id);
+        if (await db.get('notes', id)) await db.del('notes', id);
+        if (state.returnToStudy) {
+            const gone = new Set(cards.map(c => c.id));
+            state.currentCardIndex -= state.studyQueue.slice(0, state.currentCardIndex).filter(c => gone.has(c.id)).length;
+            state.studyQueue = state.studyQueue.filter(c => !gone.has(c.id));
+            state.learningQueue = state.learningQueue.filter(c => !gone.has(c.id));
+            state.undoStack = state.undoStack.filter(u => !gone.has(u.card.id));
+            state.returnToStudy = false; state.isShowingAnswer = false; this.advanceStudy();
+        }
+        else if (state.returnToBrowser) { state.browserSelection = []; this.navigateTo('browser'); }
         else this.manageCards(deckId);
     },
 
+    // Note types (edited as a draft in state.noteTypeDraft)
+    async editNoteType(id) { state.noteTypeDraft = structuredClone(await db.get('noteTypes', id)); UI.renderNoteTypeForm(state.noteTypeDraft); },
+    async copyNoteType(id) {
+        const { id: _, uid, updatedAt, ...type } = structuredClone(await db.get('noteTypes', id));
+        state.noteTypeDraft = { ...type, name: type.name + ' のコピー', createdAt: new Date().toISOString() };
+        UI.renderNoteTypeForm(state.noteTypeDraft);
+    },
+    readNoteTypeForm(form) {
+        const t = state.noteTypeDraft;
+        t.name = form.name.value.trim();
+        t.fields = form.fields.value.split('\n').map(x => x.trim()).filter(Boolean);
+        t.templates = t.templates.map((x, i) => ({ ...x, name: form.elements[`tmplName${i}`].value.trim(), front: form.elements[`tmplFront${i}`].value, back: form.elements[`tmplBack${i}`].value }));
+    },
+    addNoteTemplate(form) {
+        this.readNoteTypeForm(form);
+        const t = state.noteTypeDraft;
+        const ord = Math.max(...t.templates.map((x, i) => x.ord ?? i)) + 1;
+        t.templates.push({ ord, name: `カード${t.templates.length + 1}`, front: '', back: '' });
+        UI.renderNoteTypeForm(t);
+    },
+    removeNoteTemplate(form, i) {
+        this.readNoteTypeForm(form);
+        state.noteTypeDraft.templates.splice(i, 1);
+        UI.renderNoteTypeForm(state.noteTypeDraft);
+    },
+    async saveNoteType(form) {
+        this.readNoteTypeForm(form);
+        const t = state.noteTypeDraft;
+        const old = t.id ? await db.get('noteTypes', t.id) : null;
+        // Values are matched by position, so a different name at the same position is a rename
+        // and follows in the templates (via placeholders so that swaps work)
+        if (old) {
+            const moved = old.fields.map((f, i) => [f, t.fields[i], `\u0001${i}\u0001`]).filter(([a, b]) => b && a !== b);
+            moved.forEach(([a, , tmp]) => { t.templates = Notes.renameField(t.templates, a, tmp); });
+            moved.forEach(([, b, tmp]) => { t.templates = Notes.renameField(t.templates, tmp, b); });
+        }
+        const refs = t.templates.flatMap(x => [...(x.front + x.back).matchAll(/\{\{[#^/]?\s*(?:[\w-]+:)*([^}:]+?)\s*\}\}/g)].map(m => m[1]));
+        const error = !t.fields.length ? "フィールドを1つ以上入力してください。"
+            : new Set(t.fields).size !== t.fields.length ? "フィールド名が重複しています。"
+            : t.fields.some(f => /[{}:#^\/"]/.test(f)) ? "フィールド名に { } : # ^ / \" は使えません。"
+            : t.templates.some(x => !x.front.trim()) ? "表面が空のテンプレートがあります。"
+            : t.kind === 'cloze' && !/\{\{cloze:/.test(t.templates[0].front) ? "クローズの表面には {{cloze:フィールド名}} が必要です。"
+            : refs.filter(r => !t.fields.includes(r) && r !== 'FrontSide').map(r => `テンプレートに存在しないフィールド「${r}」があります。`)[0];
+        if (error) { alert(error); return; }
+        t.updatedAt = new Date().toISOString();
+        const id = await db.put('noteTypes', t);
+        if (old) await this.dropEmptyCards((await Notes.saveAll(id)).empty);
+        state.noteTypeDraft = null;
+        this.navigateTo('noteTypes');
+    },
+    async deleteNoteType(id) {
+        if (!confirm("このノートタイプを削除しますか？")) return;
+        await db.del('noteTypes', id);
+        UI.renderNoteTypes();
+    },
+
     // Study
     showDueList() { this.navigateTo('dueList'); },
     async editCardFromStudy(id, deckId) {
@@ -696,70 +4276,209 @@ const App = {
         window.scrollTo(0, 0);
     },
     returnToStudy() { state.returnToStudy = false; this.renderCurrentStudyCard(); },
+    // Cancel in the card / note form: back to wherever the form was opened from
+    leaveCardForm(deckId) {
+        if (state.returnToStudy) this.returnToStudy();
+        else if (state.returnToBrowser) this.navigateTo('browser');
+        else this.manageCards(deckId);
+    },
+    // Suspend / bury: the card leaves this session (and its learning queue) without an answer
+    async suspendCardFromStudy(id) {
+        await this.setAsideFromStudy(id, { suspended: true });
+    },
+    async buryCardFromStudy(id) {
+        const tomorrow = new Date(); tomorrow.setHours(24, 0, 0, 0);
+        await this.setAsideFromStudy(id, { buriedUntil: tomorrow.toISOString() });
+    },
+    async setAsideFromStudy(id, patch) {
+        const card = await db.get('cards', id);
+        if (card) await db.put('cards', { ...card, ...patch, updatedAt: new Date().toISOString() });
+        state.studyQueue.splice(state.currentCardIndex, 1);
+        state.learningQueue = state.learningQueue.filter(c => c.id !== id);
+        state.undoStack = state.undoStack.filter(u => u.card.id !== id);
+        state.isShowingAnswer = false; this.advanceStudy();
+    },
     async deleteCardFromStudy(id) {
         if (!confirm("このカードを削除しますか？\n（次のカードへ進みます）")) return;
         await db.del('cards', id);
         state.studyQueue.splice(state.currentCardIndex, 1);
-        if (!state.studyQueue.length || state.currentCardIndex >= state.studyQueue.length) { UI.renderEmptySession(); return; }
-        state.isShowingAnswer = false; this.renderCurrentStudyCard();
+        state.undoStack = state.undoStack.filter(u => u.card.id !== id);
+        state.isShowingAnswer = false; this.advanceStudy();
     },
 
-    // ③ Start session with deck filter
-    async startSession() {
-        let cards = await Logic.getDueCards();
-        if (!cards.length) { alert("今日復習すべきカードはありません！"); return; }
-        // If deck filter is set, push those cards to front
-        if (state.studyDeckFilter) {
-            const filterId = Number(state.studyDeckFilter);
-            const priority = cards.filter(c => c.deckId === filterId);
-            const rest = cards.filter(c => c.deckId !== filterId);
-            cards = [...priority, ...rest];
+    // ③ Start session with deck filter (limits, new-card interleaving and learning steps in Logic.buildSession)
+    async loadStudyDecks() { state.studyDecks = Object.fromEntries((await db.getAll('decks')).map(d => [d.id, d])); },
+    async startSession(deckId = null) {
+        const { queue, learning } = await Logic.buildSession(state.studyDeckFilter, deckId);
+        if (!queue.length && !learning.length) { alert("今日復習すべきカードはありません！"); return; }
+        await this.loadStudyDecks();
+        state.studyQueue = queue; state.learningQueue = learning; state.undoStack = []; state.session = null;
+        state.currentCardIndex = 0; state.isShowingAnswer = false; state.timing = null;
+        this.advanceStudy();
+    },
+
+    // Custom study (filtered session)
+    readCustomStudy(form) {
+        state.customStudy = {
+            deckId: form.deckId.value, query: form.query.value.trim(), order: form.order.value,
+            limit: Math.max(1, parseInt(form.limit.value) || 50), reschedule: form.reschedule.checked
+        };
+    },
+    updateCustomStudy(form) { this.readCustomStudy(form); UI.renderCustomStudy(); },
+    applyCustomPreset(i, tag) {
+        const { label, pickTag, ...p } = CUSTOM_STUDY_PRESETS[i];
+        if (pickTag) { if (!tag) return; p.query += tag; }
+        state.customStudy = { ...state.customStudy, ...p };
+        UI.renderCustomStudy();
+    },
+    customStudyFromBrowser() {
+        state.customStudy = { ...state.customStudy, deckId: '', query: state.browserQuery };
+        this.navigateTo('customStudy');
+    },
+    async startCustomSession(form) {
+        this.readCustomStudy(form);
+        const cs = state.customStudy;
+        const cards = await Query.customSession(cs);
+        if (!cards.length) { alert("条件に合うカードがありません。"); return; }
+        await this.loadStudyDecks();
+        const preset = CUSTOM_STUDY_PRESETS.find(p => p.query === cs.query);
+        state.studyQueue = cards; state.learningQueue = []; state.undoStack = [];
+        state.session = { label: preset ? preset.label : (cs.query || 'すべてのカード'), reschedule: cs.reschedule };
+        state.currentCardIndex = 0; state.isShowingAnswer = false; state.timing = null;
+        this.advanceStudy();
+    },
+
+    // The queue of a session in progress is kept in sessionStorage as card ids, so a reload of
+    // #/study picks up where it left off (answers are already saved; the undo history is not kept)
+    saveStudy() {
+        if (state.currentCardIndex >= state.studyQueue.length) { sessionStorage.removeItem(STUDY_KEY); return; }
+        sessionStorage.setItem(STUDY_KEY, JSON.stringify({
+            queue: state.studyQueue.map(c => c.id), learning: state.learningQueue.map(c => c.id), index: state.currentCardIndex, session: state.session
+        }));
+    },
+    async restoreStudy() {
+        let saved;
+        try { saved = JSON.parse(sessionStorage.getItem(STUDY_KEY)); } catch { saved = null; }
+        if (!saved) return false;
+        const byId = new Map((await db.getAll('cards')).map(c => [c.id, c]));
+        await this.loadStudyDecks();
+        // Cards deleted in the meantime drop out
+        const cards = ids => ids.map(id => byId.get(id)).filter(c => c && Logic.isStudyable(c));
+        const done = cards(saved.queue.slice(0, saved.index));
+        state.studyQueue = [...done, ...cards(saved.queue.slice(saved.index))];
+        state.learningQueue = cards(saved.learning);
+        state.currentCardIndex = done.length; state.session = saved.session; state.undoStack = [];
+        state.isShowingAnswer = false; state.timing = null;
+        return state.currentCardIndex < state.studyQueue.length || state.learningQueue.length > 0;
+    },
+    // Back/forward to #/study continues the session in memory, a reload the saved one
+    async resumeStudy() {
+        if (state.currentCardIndex < state.studyQueue.length) return this.renderCurrentStudyCard();
+        if (await this.restoreStudy()) return this.advanceStudy();
+        return this.navigateTo('dashboard');
+    },
+
+    // Move on to the next card: a learning card whose step is due goes first; when the
+    // main queue is exhausted, remaining learning cards of today are shown ahead of time
+    advanceStudy() {
+        const lq = state.learningQueue;
+        if (lq.length) {
+            lq.sort((a, b) => a.nextReviewAt.localeCompare(b.nextReviewAt));
+            if (state.currentCardIndex >= state.studyQueue.length || new Date(lq[0].nextReviewAt) <= new Date())
+                state.studyQueue.splice(state.currentCardIndex, 0, lq.shift());
         }
-        state.studyQueue = cards; state.currentCardIndex = 0; state.isShowingAnswer = false;
+        this.renderCurrentStudyCard();
+    },
+
+    // Multi-level undo within the session: restore the card, drop its log, rewind the queue
+    async undoReview() {
+        const u = state.undoStack.pop(); if (!u) return;
+        if (u.logId) { await db.put('cards', u.card); await db.del('logs', u.logId); }
+        const swap = q => q.map(c => c.id === u.card.id ? u.card : c);
+        state.studyQueue = swap(u.studyQueue); state.learningQueue = swap(u.learningQueue);
+        state.currentCardIndex = u.index; state.isShowingAnswer = false;
         this.renderCurrentStudyCard();
     },
 
     renderCurrentStudyCard() {
-        if (state.currentCardIndex >= state.studyQueue.length) { UI.renderEmptySession(); return; }
-        UI.renderStudyCard(state.studyQueue[state.currentCardIndex], state.studyQueue.length, state.currentCardIndex);
+        this.saveStudy();
+        if (state.currentCardIndex >= state.studyQueue.length) { Sound.stop(); UI.renderEmptySession(); return; }
+        const card = state.studyQueue[state.currentCardIndex];
+        // The clock starts when a card first comes up; re-renders (flip, edit) keep it running
+        const key = `${state.currentCardIndex}:${card.id}`;
+        if (state.timing?.key !== key) { state.timing = { key, shownAt: Date.now(), flipMs: null }; state.typed = null; }
+        UI.renderStudyCard(card, state.studyQueue.length + state.learningQueue.length, state.currentCardIndex);
+        this.playCardAudio();
+    },
+
+    // Front audio with the question, back audio with the answer; replay falls back to the
+    // front when the back has nothing to play
+    audioSeq: 0,
+    async playCardAudio(replay = false) {
+        const card = state.studyQueue[state.currentCardIndex]; if (!card) return;
+        const seq = ++this.audioSeq;
+        const src = await Sound.source(card, state.isShowingAnswer ? 'back' : 'front');
+        const fallback = !src && state.isShowingAnswer ? await Sound.source(card, 'front') : null;
+        if (seq !== this.audioSeq) return;
+        const btn = document.getElementById('replayBtn');
+        if (btn) btn.style.display = src || fallback ? '' : 'none';
+        if (src || (replay && fallback)) Sound.play(src || fallback); else Sound.stop();
     },
 
-    flipCard() { if (!state.isShowingAnswer) { state.isShowingAnswer = true; this.renderCurrentStudyCard(); } },
+    // Typed-answer decks: compare, then show the answer with the diff and a suggested grade
+    checkTypedAnswer(form) {
+        const card = state.studyQueue[state.currentCardIndex];
+        const ignore = state.studyDecks[card.deckId]?.typeIgnore || DEFAULT_TYPE_IGNORE;
+        state.typed = TypeAnswer.compare(form.typed.value, TypeAnswer.expected(card), ignore);
+        this.flipCard();
+    },
+    flipCard() {
+        if (state.isShowingAnswer) return;
+        state.timing.flipMs ??= Math.min(Date.now() - state.timing.shownAt, MAX_ANSWER_MS);
+        state.isShowingAnswer = true; this.renderCurrentStudyCard();
+    },
 
     async submitReview(uiGrade) {
+        if (!state.isShowingAnswer) return; // already answered while this one is being saved
+        state.isShowingAnswer = false;
         const qMap = { 1: 1, 2: 3, 3: 4, 4: 5 };
-        const q = qMap[uiGrade];
+        let q = qMap[uiGrade];
         const card = state.studyQueue[state.currentCardIndex];
-        const log = { cardId: card.id, reviewedAt: new Date().toISOString(), q, intervalBefore: card.I, efBefore: card.EF };
-
-        const userStats = await Logic.getUserStats();
-        let eMult = 1.0;
-        if (userStats.forgetRate > 0.35) eMult = 0.9;
-        else if (userStats.forgetRate < 0.15) eMult = 1.1;
-
-        const cs = Logic.calculateCardStats(card, userStats.forgetRate);
-        let rMult = 1.0;
-        if (cs.retentionScore < 40) rMult = 0.8;
-        else if (cs.retentionScore > 80) rMult = 1.2;
-
-        const sm2 = Logic.calculateSM2(card, q);
-        let efNew = Math.max(sm2.EF * eMult, 1.3);
-        let iNew;
-        if (sm2.n > 2 && q >= 3) iNew = Math.round(card.I * efNew * rMult);
-        else if (q < 3) iNew = 1;
-        else iNew = sm2.I;
-
-        const now = new Date(), next = new Date(); next.setDate(now.getDate() + iNew);
-        card.n = sm2.n; card.I = iNew; card.EF = efNew;
-        card.nextReviewAt = next.toISOString(); card.lastReviewAt = now.toISOString();
-        if (q >= 3) card.totalSuccesses = (card.totalSuccesses || 0) + 1;
+        const gradeMs = Math.min(Date.now() - state.timing.shownAt, MAX_ANSWER_MS);
+        const stateBefore = Logic.cardState(card);
+        const undo = { card: { ...card }, studyQueue: [...state.studyQueue], learningQueue: [...state.learningQueue], index: state.currentCardIndex };
+
+        // Cram session: nothing is written, failed cards come back at the end
+        if (state.session && !state.session.reschedule) {
+            state.undoStack.push(undo);
+            if (q < 3) state.studyQueue.push(card);
+            state.currentCardIndex++; state.isShowingAnswer = false;
+            this.advanceStudy();
+            return;
+        }
+        // Optional: a correct answer that took longer than the limit is scheduled as 難しい
+        const slowSec = Settings.get('slowAnswerSec', 0);
+        const slow = slowSec > 0 && q > 3 && gradeMs >= slowSec * 1000;
+        if (slow) q = 3;
+        const log = { cardId: card.id, reviewedAt: new Date().toISOString(), q, intervalBefore: card.I, efBefore: card.EF, scheduler: card.scheduler || 'sm2', stateBefore, flipMs: state.timing.flipMs, gradeMs };
+        if (slow) log.slow = true;
+
+        const [userStats, opts] = await Promise.all([Logic.getUserStats(), Logic.getDeckOptions(card.deckId)]);
+        const now = new Date();
+        const res = Logic.answerCard(card, q, { now, forgetRate: userStats.forgetRate }, opts);
+        Object.assign(card, res.card);
 
         await db.put('cards', card);
-        log.intervalAfter = iNew; log.EF = efNew;
-        await db.add('logs', log);
+        log.intervalAfter = card.I; log.EF = card.EF; log.scheduled = res.scheduled;
+        undo.logId = await db.add('logs', log);
+        state.undoStack.push(undo);
 
+        if (res.leech) alert(`このカードは${card.lapses}回忘れたためリーチになりました。\n（${LEECH_ACTIONS[opts.leechAction]}）`);
+        // Learning steps due later today come back in this session
+        if ((card.state === 'learning' || card.state === 'relearning') && !card.suspended && new Date(card.nextReviewAt) <= Logic.endOfToday())
+            state.learningQueue.push(card);
         state.currentCardIndex++; state.isShowingAnswer = false;
-        this.renderCurrentStudyCard();
+        this.advanceStudy();
     }
 };
 
@@ -0,0 +1,42 @@
+// DeepGalaxy service worker: the app shell and vendored libraries are precached so the app
+// starts and works without a network. Precached files are served from the cache and refreshed
+// in the background (the new version is used from the next start). Bump VERSION when the list
+// changes; other requests (sync server, …) are not touched.
+const VERSION = 'deepgalaxy-v1';
+const PRECACHE = [
+    './', 'index.html', 'app.js', 'styles.css', 'manifest.webmanifest',
+    'icons/icon-192.png', 'icons/icon-512.png', 'icons/icon-maskable-512.png', 'icons/apple-touch-icon.png',
+    'vendor/lucide/lucide.min.js', 'vendor/sql.js/sql-wasm.js', 'vendor/sql.js/sql-wasm.wasm',
+    'vendor/fonts/fonts.css',
+    ...['inter-latin-400', 'inter-latin-500', 'inter-latin-600', 'inter-latin-700', 'outfit-latin-400', 'outfit-latin-600', 'outfit-latin-700']
+        .map(f => `vendor/fonts/${f}-normal.woff2`)
+];
+
+self.addEventListener('install', e => {
+    e.waitUntil(caches.open(VERSION).then(c => c.addAll(PRECACHE)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', e => {
+    e.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(k => k !== VERSION).map(k => caches.delete(k))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', e => {
+    const req = e.request;
+    const url = new URL(req.url);
+    if (req.method !== 'GET' || url.origin !== location.origin) return;
+    // Page loads (including #/ deep links) always get the app shell
+    const key = req.mode === 'navigate' ? 'index.html' : req;
+    e.respondWith(caches.open(VERSION).then(async cache => {
+        const cached = await cache.match(key, { ignoreSearch: req.mode === 'navigate' });
+        const update = fetch(req).then(res => {
+            if (res.ok && (cached || req.mode === 'navigate')) cache.put(key, res.clone());
+            return res;
+        });
+        if (!cached) return update;
+        update.catch(() => {}); // offline: the cached copy stays
+        e.waitUntil(update.then(() => {}, () => {}));
+        return cached;
+    }));
+});
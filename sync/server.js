@@ -0,0 +1,85 @@
+/**
+ * DeepGalaxy - reference sync server
+ * No dependencies: `node sync/server.js` (see PROTOCOL.md)
+ *   PORT        listen port (default 8787)
+ *   SYNC_DATA   JSON file the change log is kept in (default sync/data.json)
+ *   SYNC_TOKEN  if set, requests must send "Authorization: Bearer <token>"
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA = process.env.SYNC_DATA || path.join(__dirname, 'data.json');
+const TOKEN = process.env.SYNC_TOKEN || '';
+const STORES = ['decks', 'cards', 'logs', 'presets', 'noteTypes', 'notes', 'media'];
+const MAX_BODY = 50 * 1024 * 1024;
+
+// { seq, clocks: { device: highest clock seen }, changes: [{ seq, device, clock, uid, store, op, record | tombstone }] }
+const db = fs.existsSync(DATA) ? JSON.parse(fs.readFileSync(DATA, 'utf8')) : { seq: 0, clocks: {}, changes: [] };
+
+function save() {
+    const tmp = DATA + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(db));
+    fs.renameSync(tmp, DATA);
+}
+
+function validChange(c) {
+    if (!c || typeof c.uid !== 'string' || !STORES.includes(c.store) || !Number.isInteger(c.clock)) return false;
+    if (c.op === 'put') return !!c.record && c.record.uid === c.uid;
+    if (c.op === 'del') return !!c.tombstone && c.tombstone.uid === c.uid;
+    return false;
+}
+
+// Changes at or below the device's clock were already accepted (the same request sent twice)
+function push({ device, changes }) {
+    if (typeof device !== 'string' || !Array.isArray(changes)) return [400, { error: 'device and changes are required' }];
+    const bad = changes.findIndex(c => !validChange(c));
+    if (bad >= 0) return [400, { error: `invalid change at index ${bad}` }];
+    const seen = db.clocks[device] || 0;
+    let accepted = 0;
+    for (const c of changes) {
+        if (c.clock <= seen) continue;
+        db.changes.push({ ...c, seq: ++db.seq, device });
+        db.clocks[device] = Math.max(db.clocks[device] || 0, c.clock);
+        accepted++;
+    }
+    if (accepted) save();
+    return [200, { accepted, seq: db.seq }];
+}
+
+function pull(query) {
+    const since = Number(query.get('since')) || 0;
+    const device = query.get('device');
+    return [200, { seq: db.seq, changes: db.changes.filter(c => c.seq > since && c.device !== device) }];
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: 'unauthorized' });
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && url.pathname.endsWith('/pull')) return send(res, ...pull(url.searchParams));
+    if (req.method !== 'POST' || !url.pathname.endsWith('/push')) return send(res, 404, { error: 'not found' });
+    let body = '', size = 0;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY) { send(res, 413, { error: 'payload too large' }); req.destroy(); return; }
+        body += chunk;
+    });
+    req.on('end', () => {
+        if (res.writableEnded) return;
+        let json;
+        try { json = JSON.parse(body); } catch { return send(res, 400, { error: 'invalid JSON' }); }
+        send(res, ...push(json));
+    });
+}).listen(PORT, () => console.log(`DeepGalaxy sync server on http://localhost:${PORT} (data: ${DATA})`));
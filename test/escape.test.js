@@ -0,0 +1,100 @@
+// Html.esc / html``, Markup.render / sanitize and the data-on* payloads of on()
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+const { HOSTILE, assertInert } = require('./helpers/hostile');
+
+let app, Html, html, Markup, on;
+before(async () => {
+    app = await loadApp();
+    ({ Html, Markup } = app.get('({ Html, Markup })'));
+    html = app.get('html'); on = app.get('on');
+});
+after(() => app.close());
+
+// Parse markup the way UI.render does and return the container
+const mount = markup => {
+    const div = app.document.createElement('div');
+    div.innerHTML = String(markup);
+    return div;
+};
+
+test('Html.esc escapes the five HTML metacharacters', () => {
+    assert.equal(Html.esc(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+    assert.equal(Html.esc(42), '42');
+});
+
+test('html`` escapes interpolated text and attribute values', () => {
+    for (const s of Object.values(HOSTILE)) {
+        const div = mount(html`<p title="${s}" class='${s}'>${s}</p>`);
+        assertInert(div);
+        const p = div.firstElementChild;
+        assert.equal(div.children.length, 1);
+        assert.deepEqual([...p.attributes].map(a => a.name), ['title', 'class']);
+        assert.equal(p.title, s);
+        assert.equal(p.getAttribute('class'), s);
+        assert.equal(p.textContent, s);
+    }
+});
+
+test('html`` passes nested templates, arrays and Html.raw through once', () => {
+    const items = ['<b>', '"'].map(x => html`<li>${x}</li>`);
+    assert.equal(String(html`<ul>${items}</ul>`), '<ul><li>&lt;b&gt;</li><li>&quot;</li></ul>');
+    assert.equal(String(html`<p>${html`<i>${'&'}</i>`}</p>`), '<p><i>&amp;</i></p>');
+    assert.equal(String(html`${Html.raw('<br>')}${null}${false}${undefined}${0}`), '<br>0');
+});
+
+test('Markup.render drops scripts and event handlers from card text', () => {
+    for (const s of Object.values(HOSTILE)) assertInert(mount(Markup.render(s)));
+    const div = mount(Markup.render(`${HOSTILE.img}\n\n**${HOSTILE.link}** ==${HOSTILE.svg}==\n- ${HOSTILE.breakout}\n\n漢字[${HOSTILE.img}]`));
+    assertInert(div);
+    assert.equal(div.querySelectorAll('a, svg').length, 0);
+    assert.ok(div.textContent.includes('click'), 'the link text is kept');
+    for (const img of div.querySelectorAll('img')) assert.ok(!img.hasAttribute('src'), `img src="${img.getAttribute('src')}" kept`);
+});
+
+test('Markup.sanitize keeps whitelisted markup and safe image sources only', () => {
+    const div = mount(Markup.sanitize('<span class="cloze" onclick="alert(1)" style="x">a</span>'
+        + '<img src="data:image/png;base64,AAAA" alt="ok" onerror="alert(1)"><img src="javascript:alert(1)"><img src="https://evil.example/x.png">'
+        + '<b onmouseover="alert(1)">b</b><style>*{}</style><textarea>t</textarea>'));
+    assertInert(div);
+    const span = div.querySelector('span');
+    assert.deepEqual([...span.attributes].map(a => `${a.name}=${a.value}`), ['class=cloze']);
+    const imgs = div.querySelectorAll('img');
+    assert.equal(imgs[0].getAttribute('src'), 'data:image/png;base64,AAAA');
+    assert.equal(imgs[0].alt, 'ok');
+    assert.ok(!imgs[1].hasAttribute('src') && !imgs[2].hasAttribute('src'));
+    assert.equal(div.querySelectorAll('style, textarea').length, 0);
+    assert.equal(div.querySelector('b').attributes.length, 0);
+});
+
+test('Markup.plain returns text that html`` shows literally', () => {
+    const text = Markup.plain('a &lt;b&gt; "c" \'d\' & e');
+    assert.equal(text, `a <b> "c" 'd' & e`);
+    assert.equal(mount(html`<p>${text}</p>`).textContent, text);
+});
+
+test('on() payloads survive quotes and markup in their arguments', () => {
+    for (const s of Object.values(HOSTILE)) {
+        const div = mount(html`<button ${on('click', 'probe', s, 7, '$el')}>x</button>`);
+        assertInert(div);
+        const btn = div.firstElementChild;
+        assert.deepEqual([...btn.attributes].map(a => a.name), ['data-onclick']);
+        assert.deepEqual(JSON.parse(btn.dataset.onclick), ['probe', s, 7, '$el']);
+    }
+});
+
+test('a delegated click calls the App method with the original arguments', () => {
+    const App = app.get('App');
+    const calls = [];
+    App.probe = (...args) => calls.push(args);
+    try {
+        const root = app.document.getElementById('app');
+        root.innerHTML = String(html`<button ${on('click', 'probe', HOSTILE.quotes, HOSTILE.breakout, '$el')}><span>x</span></button>`);
+        root.querySelector('span').click();
+        assert.equal(calls.length, 1);
+        assert.equal(calls[0][0], HOSTILE.quotes);
+        assert.equal(calls[0][1], HOSTILE.breakout);
+        assert.equal(calls[0][2], root.querySelector('button'));
+    } finally { delete App.probe; }
+});
@@ -0,0 +1,35 @@
+// Malicious fixture strings, and a check that rendered markup cannot run any of them
+const assert = require('node:assert/strict');
+
+const HOSTILE = {
+    img: '<img src=x onerror="alert(1)">',
+    link: '<a href="javascript:alert(1)">click</a>',
+    breakout: '"><script>alert(1)</script>',
+    quotes: `'" onmouseover="alert(1)" x='`,
+    svg: '<svg onload="alert(1)"><circle r="1"></circle></svg>',
+    iframe: '<iframe src="javascript:alert(1)"></iframe>'
+};
+
+// No script elements, no on* attributes, no javascript: URLs, and every delegated handler is
+// a well-formed ["method", ...args] payload
+function assertInert(root) {
+    assert.equal(root.querySelectorAll('script, iframe, object, embed').length, 0, 'script-like element rendered');
+    for (const el of root.querySelectorAll('*')) {
+        for (const { name, value } of el.attributes) {
+            assert.ok(!/^on/i.test(name), `<${el.tagName.toLowerCase()} ${name}> rendered`);
+            if (['href', 'src', 'action', 'formaction', 'xlink:href'].includes(name)) assert.ok(!/^\s*javascript:/i.test(value), `${name}="${value}" rendered`);
+            if (name.startsWith('data-on')) {
+                const payload = JSON.parse(value);
+                assert.ok(Array.isArray(payload) && typeof payload[0] === 'string', `${name} payload ${value}`);
+            }
+        }
+    }
+}
+
+// The text, as typed, shows up as text (or as a form field's value) somewhere below root
+function assertShownAsText(root, text) {
+    const values = [...root.querySelectorAll('input, textarea, option')].map(el => el.value);
+    assert.ok(root.textContent.includes(text) || values.includes(text) || values.some(v => v.includes(text)), `${JSON.stringify(text)} not shown as text`);
+}
+
+module.exports = { HOSTILE, assertInert, assertShownAsText };
@@ -0,0 +1,32 @@
+// Loads index.html and app.js into a jsdom window backed by an in-memory IndexedDB, the way
+// the browser would, and waits for App.init. The app's top-level objects are read with get().
+const fs = require('node:fs');
+const vm = require('node:vm');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+async function loadApp() {
+    // Scripts are evaluated below; the vendored icon library is left out (Icons falls back)
+    const page = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8').replace(/<script\b[^>]*><\/script>/g, '');
+    const dom = new JSDOM(page, { runScripts: 'outside-only', url: 'http://localhost/' });
+    const w = dom.window;
+    Object.assign(w, { indexedDB: new IDBFactory(), IDBKeyRange, structuredClone, scrollTo() {}, alert() {}, confirm: () => true });
+    const src = fs.readFileSync(path.join(ROOT, 'app.js'), 'utf8');
+    // jsdom has no named form controls (form.name, form.deckId); add the ones app.js reads
+    for (const [, name] of src.matchAll(/\bform\.(\w+)/g)) {
+        if (name in w.HTMLFormElement.prototype) continue;
+        Object.defineProperty(w.HTMLFormElement.prototype, name, { configurable: true, get() { return this.elements.namedItem(name) ?? undefined; } });
+    }
+    // Run as a classic script, so its top-level consts stay visible to later scripts (get)
+    const ctx = dom.getInternalVMContext();
+    vm.runInContext(src, ctx, { filename: 'app.js' });
+    const get = name => vm.runInContext(name, ctx);
+    for (let i = 0; i < 100 && !w.document.querySelector('#app .container'); i++) await new Promise(r => setTimeout(r, 20));
+    if (!w.document.querySelector('#app .container')) throw new Error('app did not start: ' + w.document.body.textContent.trim());
+    return { window: w, document: w.document, get, close: () => w.close() };
+}
+
+module.exports = { loadApp };
@@ -0,0 +1,83 @@
+// Hostile decks, cards, tags and note fields, as an imported backup could carry them, rendered
+// through the real views
+const { test, before, after } = require('node:test');
+const { loadApp } = require('./helpers/load-app');
+const { HOSTILE, assertInert, assertShownAsText } = require('./helpers/hostile');
+
+let app, root, db, UI, state;
+const ids = {};
+before(async () => {
+    app = await loadApp();
+    ({ db, UI, state } = app.get('({ db, UI, state })'));
+    root = app.document.getElementById('app');
+    const now = new Date().toISOString();
+    ids.deck = await db.add('decks', { name: HOSTILE.breakout, scheduler: 'sm2', presetId: 1, createdAt: now });
+    ids.child = await db.add('decks', { name: HOSTILE.quotes, parentId: ids.deck, scheduler: 'sm2', presetId: 1, createdAt: now });
+    ids.type = await db.add('noteTypes', {
+        name: HOSTILE.breakout, kind: 'standard', fields: [HOSTILE.breakout, HOSTILE.quotes],
+        templates: [{ ord: 0, name: HOSTILE.quotes, front: `{{${HOSTILE.breakout}}}`, back: HOSTILE.img }]
+    });
+    ids.note = await db.add('notes', { noteTypeId: ids.type, deckId: ids.deck, fields: [HOSTILE.img, HOSTILE.link], tags: [HOSTILE.breakout], createdAt: now });
+    ids.card = await db.add('cards', {
+        deckId: ids.deck, frontText: `${HOSTILE.img}\n${HOSTILE.link}`, backText: `${HOSTILE.svg}\n${HOSTILE.iframe}`,
+        frontImage: `x" onerror="alert(1)`, backImage: 'javascript:alert(1)', tags: [HOSTILE.breakout, HOSTILE.quotes],
+        EF: 2.5, I: 0, n: 0, state: 'new', createdAt: now
+    });
+});
+after(() => app.close());
+
+const check = (...texts) => {
+    assertInert(root);
+    texts.forEach(t => assertShownAsText(root, t));
+};
+
+test('dashboard and deck list', async () => {
+    await UI.renderDashboard();
+    assertInert(root);
+    await UI.renderDeckList();
+    check(HOSTILE.breakout, HOSTILE.quotes);
+});
+
+test('card manager', async () => {
+    await UI.renderCardManager(ids.deck);
+    check(HOSTILE.breakout);
+});
+
+test('card browser', async () => {
+    state.browserQuery = '';
+    await UI.renderBrowser();
+    check(HOSTILE.breakout, HOSTILE.quotes);
+});
+
+test('study card, question and answer', async () => {
+    const card = await db.get('cards', ids.card);
+    state.studyQueue = [card]; state.learningQueue = []; state.currentCardIndex = 0;
+    state.timing = { key: card.id, shownAt: Date.now(), flipMs: null };
+    for (const showing of [false, true]) {
+        state.isShowingAnswer = showing;
+        UI.renderStudyCard(card, 1, 0);
+        check();
+    }
+    state.isShowingAnswer = false;
+});
+
+test('card and deck forms', async () => {
+    await UI.renderCardForm(ids.deck, await db.get('cards', ids.card));
+    check(HOSTILE.img, HOSTILE.svg, HOSTILE.breakout);
+    await UI.renderDeckForm(await db.get('decks', ids.child));
+    check(HOSTILE.quotes);
+});
+
+test('note form and note types', async () => {
+    await UI.renderNoteForm(ids.deck, await db.get('notes', ids.note));
+    check(HOSTILE.breakout, HOSTILE.quotes, HOSTILE.img, HOSTILE.link);
+    await UI.renderNoteTypes();
+    check(HOSTILE.breakout);
+    UI.renderNoteTypeForm(await db.get('noteTypes', ids.type));
+    check(HOSTILE.breakout, HOSTILE.quotes, HOSTILE.img);
+});
+
+test('custom study, tag picker', async () => {
+    await UI.renderCustomStudy();
+    check(HOSTILE.breakout, HOSTILE.quotes);
+});